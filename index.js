@@ -5,7 +5,30 @@
  */
 
 // global includes
-const spec = require('restbase-mod-table-spec').spec;
+const P = require('bluebird');
+const path = require('path');
+const tableSpec = require('restbase-mod-table-spec').spec;
+
+// The table storage spec, extended with the operations specific to SQLite
+const spec = Object.assign({}, tableSpec, {
+    paths: Object.assign({
+        '/_batch': {
+            post: {
+                operationId: 'batch'
+            }
+        },
+        '/_backup': {
+            post: {
+                operationId: 'backup'
+            }
+        },
+        '/_restore': {
+            post: {
+                operationId: 'restore'
+            }
+        }
+    }, tableSpec.paths)
+});
 
 class RBSQLite {
     constructor(options) {
@@ -14,16 +37,36 @@ class RBSQLite {
         this.log = options.log;
         this.setup = this.setup.bind(this);
         this.store = null;
+        // The operations in progress, which closing waits for
+        this._pending = new Set();
+        this._closing = null;
         this.handler = {
             spec,
             operations: {
-                createTable: this.createTable.bind(this),
-                dropTable: this.dropTable.bind(this),
-                getTableSchema: this.getTableSchema.bind(this),
-                get: this.get.bind(this),
-                put: this.put.bind(this),
-                delete: this.delete.bind(this)
-            }
+                createTable: this._track(this.createTable),
+                dropTable: this._track(this.dropTable),
+                getTableSchema: this._track(this.getTableSchema),
+                get: this._track(this.get),
+                put: this._track(this.put),
+                delete: this._track(this.delete),
+                batch: this._track(this.batch),
+                backup: this._track(this.backup),
+                restore: this._track(this.restore)
+            },
+            close: this.close.bind(this)
+        };
+    }
+
+    /**
+     * Wraps an operation, keeping track of its requests until they complete.
+     * @param {Function} operation the operation
+     * @return {Function} the operation, bound to this instance
+     */
+    _track(operation) {
+        return (rb, req) => {
+            const pending = P.try(() => operation.call(this, rb, req));
+            this._pending.add(pending);
+            return pending.finally(() => this._pending.delete(pending));
         };
     }
 
@@ -32,6 +75,41 @@ class RBSQLite {
 
         req.body.table = req.params.table;
         const domain = req.params.domain;
+        const query = req.query || {};
+        let dryRun = false;
+        if (query.dry_run !== undefined) {
+            // A bare `?dry_run` flag has an empty value
+            if (['', 'true', '1'].indexOf(query.dry_run) >= 0) {
+                dryRun = true;
+            } else if (['false', '0'].indexOf(query.dry_run) < 0) {
+                return {
+                    status: 400,
+                    body: {
+                        type: 'bad_request',
+                        title: `Invalid dry_run value ${query.dry_run}, expected true or false.`
+                    }
+                };
+            }
+        }
+        if (req.body.dryRun !== undefined) {
+            dryRun = dryRun || !!req.body.dryRun;
+            delete req.body.dryRun;
+        }
+
+        if (dryRun) {
+            return store.createTable(domain, req.body, { dryRun })
+            .then((plan) => ({
+                status: 200,
+                body: {
+                    type: 'table_migration_plan',
+                    title: 'Dry run, no changes were made.',
+                    domain,
+                    table: req.params.table,
+                    plan: Array.isArray(plan) ? plan : [plan]
+                }
+            }))
+            .catch((e) => this._createTableError(e, req));
+        }
 
         // check if the domains table exists
         return store.createTable(domain, req.body)
@@ -46,26 +124,28 @@ class RBSQLite {
                 table: req.params.table
             }
         }))
-        .catch((e) => {
-            this.log('sqlite/error', e);
-            if (e.status >= 400) {
-                return {
-                    status: e.status,
-                    body: e.body
-                };
-            }
+        .catch((e) => this._createTableError(e, req));
+    }
+
+    _createTableError(e, req) {
+        this.log('sqlite/error', e);
+        if (e.status >= 400) {
             return {
-                status: 500,
-                body: {
-                    type: 'table_creation_error',
-                    title: 'Internal error while creating a ' +
-                        'table within the SQLite storage backend',
-                    stack: e.stack,
-                    err: e,
-                    req
-                }
+                status: e.status,
+                body: e.body
             };
-        });
+        }
+        return {
+            status: 500,
+            body: {
+                type: 'table_creation_error',
+                title: 'Internal error while creating a ' +
+                    'table within the SQLite storage backend',
+                stack: e.stack,
+                err: e,
+                req
+            }
+        };
     }
 
     // Query a table
@@ -80,11 +160,18 @@ class RBSQLite {
         const domain = req.params.domain;
         return this.store.get(domain, req.body)
         .then((res) => ({
-            status: res.items.length ? 200 : 404,
+            // Aggregate queries always have a result
+            status: !res.items || res.items.length ? 200 : 404,
             body: res
         }))
         .catch((e) => {
             this.log('sqlite/error', e);
+            if (e.status >= 400) {
+                return {
+                    status: e.status,
+                    body: e.body
+                };
+            }
             return {
                 status: 500,
                 body: {
@@ -102,12 +189,32 @@ class RBSQLite {
     put(rb, req) {
         const domain = req.params.domain;
         return this.store.put(domain, req.body)
-        .then(() => ({
-            // created
-            status: 201
-        }))
+        .then((res) => {
+            if (res && res.status === 412) {
+                // The write condition did not hold
+                return {
+                    status: 412,
+                    body: {
+                        type: 'precondition_failed',
+                        title: 'The write condition did not hold, no changes were made.',
+                        applied: false,
+                        items: res.items
+                    }
+                };
+            }
+            return {
+                // created
+                status: 201
+            };
+        })
         .catch((e) => {
             this.log('sqlite/error', e);
+            if (e.status >= 400) {
+                return {
+                    status: e.status,
+                    body: e.body
+                };
+            }
             return {
                 status: 500,
                 body: {
@@ -189,6 +296,154 @@ class RBSQLite {
         }));
     }
 
+    // Atomically perform a list of put and delete operations
+    batch(rb, req) {
+        const domain = req.params.domain;
+        return this.store.batch(domain, req.body && req.body.operations)
+        .then((items) => ({
+            status: 200,
+            body: {
+                type: 'batch_result',
+                items
+            }
+        }))
+        .catch((e) => {
+            this.log('sqlite/error', e);
+            if (e.status >= 400) {
+                return {
+                    status: e.status,
+                    body: e.body
+                };
+            }
+            return {
+                status: 500,
+                body: {
+                    type: 'batch_error',
+                    title: 'Internal error in SQLite table storage backend',
+                    stack: e.stack,
+                    err: e,
+                    req
+                }
+            };
+        });
+    }
+
+    /**
+     * Resolves the file named in a backup or restore request, which must
+     * be in the configured `backup_dir`.
+     * @param {Object} req the request
+     * @return {Object} the path of the file, or the error response
+     */
+    _backupFile(req) {
+        const file = req.body && req.body.file;
+        if (!this.conf.backup_dir) {
+            return {
+                error: {
+                    status: 403,
+                    body: {
+                        type: 'forbidden',
+                        title: 'Backups are disabled, no backup_dir is configured.'
+                    }
+                }
+            };
+        }
+        if (typeof file !== 'string' || !file || path.basename(file) !== file ||
+                file === '.' || file === '..') {
+            return {
+                error: {
+                    status: 400,
+                    body: {
+                        type: 'bad_request',
+                        title: 'A backup file name, without any directory, is required.'
+                    }
+                }
+            };
+        }
+        return { path: path.join(this.conf.backup_dir, file) };
+    }
+
+    _backupError(e, req) {
+        this.log('sqlite/error', e);
+        if (e.code === 'ENOENT') {
+            return {
+                status: 404,
+                body: {
+                    type: 'not_found',
+                    title: 'The backup file does not exist.',
+                    file: req.body.file
+                }
+            };
+        }
+        if (e.status >= 400) {
+            return {
+                status: e.status,
+                body: e.body
+            };
+        }
+        return {
+            status: 500,
+            body: {
+                type: 'backup_error',
+                title: 'Internal error in SQLite table storage backend',
+                stack: e.stack,
+                err: e,
+                req
+            }
+        };
+    }
+
+    // Copy the database of a domain to a file of the backup directory
+    backup(rb, req) {
+        const file = this._backupFile(req);
+        if (file.error) {
+            return Promise.resolve(file.error);
+        }
+        return this.store.backup(req.params.domain, file.path)
+        .then((res) => ({
+            status: 200,
+            body: {
+                type: 'backup_created',
+                title: 'The database was backed up.',
+                file: req.body.file,
+                pages: res.pages
+            }
+        }))
+        .catch((e) => this._backupError(e, req));
+    }
+
+    // Replace the database of a domain with a file of the backup directory
+    restore(rb, req) {
+        const file = this._backupFile(req);
+        if (file.error) {
+            return Promise.resolve(file.error);
+        }
+        return this.store.restore(req.params.domain, file.path)
+        .then((res) => ({
+            status: 200,
+            body: {
+                type: 'backup_restored',
+                title: 'The database was restored.',
+                file: req.body.file,
+                tables: res.tables
+            }
+        }))
+        .catch((e) => this._backupError(e, req));
+    }
+
+    /*
+     * Teardown: closes the storage backend, once the requests in progress
+     * have completed
+     *
+     * @return {Promise}
+     */
+    close() {
+        if (!this._closing) {
+            this._closing = P.all(Array.from(this._pending).map((pending) => pending.reflect()))
+            .then(() => this.store && this.store.close());
+        }
+        return this._closing;
+    }
+
     /*
      * Setup / startup
      *
@@ -2,6 +2,7 @@
 
 const dbu = require('./dbutils');
 const P = require('bluebird');
+const stringify = require('fast-json-stable-stringify');
 
 /**
  * Base migration handler for unsupported schema
@@ -31,13 +32,32 @@ class Table extends Unsupported {
     }
 }
 
+/**
+ * Safe attribute type changes, mapping types to the ones they can be widened
+ * to. Any type can also be widened to a set of itself.
+ */
+const typeWidenings = {
+    int: ['long', 'varint', 'double'],
+    float: ['double'],
+    long: ['varint'],
+    string: ['json']
+};
+
+function isSetWidening(from, to) {
+    return to === `set<${from}>`;
+}
+
+function isWidening(from, to) {
+    return isSetWidening(from, to) ||
+        (typeWidenings[from] || []).indexOf(to) >= 0;
+}
+
 /**
  * attributes object migration handler
  */
 class Attributes {
     constructor(parentMigrator, current, proposed) {
-        this.client = parentMigrator.db.client;
-        this.log = parentMigrator.db.log;
+        this.log = parentMigrator.log;
         this.conf = parentMigrator.db.conf;
 
         this.table = parentMigrator.table;
@@ -51,9 +71,62 @@ class Attributes {
         const propSet = new Set(Object.keys(this.proposed));
 
         this.addColumns = Array.from(propSet).filter((x) => !currSet.has(x));
-        // TODO: null-out deleted columns
-        // We can't delete the column in SQLite, but we would remove it from * projection
+        // SQLite can't drop columns, so the tables are rebuilt without them
         this.delColumns = Array.from(currSet).filter((x) => !propSet.has(x));
+        // Columns changing type are rebuilt and their values converted
+        this.changedColumns = Array.from(propSet)
+        .filter((x) => currSet.has(x) && this.current[x] !== this.proposed[x]);
+        this.rebuild = this.delColumns.length > 0 || this.changedColumns.length > 0;
+    }
+
+    validate() {
+        const unsupported = this.changedColumns.filter((col) => {
+            const keyIndex = this.newSchema.iKeyMap[col];
+            return !isWidening(this.current[col], this.proposed[col]) ||
+                // Sets can't be part of the primary key
+                (isSetWidening(this.current[col], this.proposed[col]) &&
+                    keyIndex && keyIndex.type !== 'static');
+        });
+        if (unsupported.length) {
+            throw new Error('Unsupported attribute type changes: ' +
+                `${unsupported.map((col) =>
+                    `${col} (${this.current[col]} to ${this.proposed[col]})`).join(', ')}`);
+        }
+    }
+
+    /**
+     * Rewrite the values of a column changing type, reading them with the
+     * converter of the current type and writing them with the proposed one.
+     * @param  {Object} tx  the transaction the tables are rebuilt in
+     * @param  {string} col the column to convert
+     * @return {Promise}    a promise that resolves when the column is converted
+     */
+    _convertColumn(tx, col) {
+        const from = this.current[col];
+        const to = this.proposed[col];
+        const reader = this.oldSchema.converters[from];
+        const writer = this.newSchema.converters[to];
+        const colIndex = this.newSchema.iKeyMap[col];
+        const table = `[${this.table}_${colIndex && colIndex.type === 'static' ?
+            'static' : 'data'}]`;
+        const field = dbu.fieldName(col);
+        this.log('warn/schemaMigration/attributes', {
+            message: `converting column ${col} from ${from} to ${to}`,
+            column: col
+        });
+        // The rebuilt set columns store text, so the values are read back
+        // as the current column stored them
+        const value = isSetWidening(from, to) ? `cast(${field} as ${reader.type})` : field;
+        return tx.all(`select rowid, ${value} as ${field} from ${table} ` +
+            `where ${field} is not null`)
+        .then((rows) => P.each(rows, (row) => {
+            let value = reader.read(row[col]);
+            if (isSetWidening(from, to)) {
+                value = [value];
+            }
+            return tx.run(`update ${table} set ${field} = ? where rowid = ?`,
+                [writer.write(value), row.rowid]);
+        }));
     }
 
     _colType(col) {
@@ -76,14 +149,33 @@ class Attributes {
         }
     }
 
-    migrate() {
+    /**
+     * Add the new columns, or rebuild the tables if any of the migrators
+     * requires it.
+     * @param  {Object}  tx      the migration transaction
+     * @param  {boolean} rebuild whether the tables have to be rebuilt
+     * @return {Promise}         a promise that resolves when the migration is done
+     */
+    migrate(tx, rebuild) {
+        if (rebuild) {
+            // The rebuilt tables also contain the added columns
+            this.log('warn/schemaMigration/attributes', {
+                message: 'rebuilding the table',
+                addColumns: this.addColumns,
+                delColumns: this.delColumns
+            });
+            const queries = dbu.buildRebuildTableQueries(this.oldSchema,
+                this.newSchema, this.table);
+            return tx.runQueries(queries)
+            .then(() => P.each(this.changedColumns, (col) => this._convertColumn(tx, col)));
+        }
         return P.each(this.addColumns, (col) => {
             this.log('warn/schemaMigration/attributes', {
                 message: `adding column${col}`,
                 column: col
             });
             const sql = this._alterTableAdd(col);
-            return this.client.run([{ sql }])
+            return tx.run(sql)
             .catch((e) => {
                 const regex = new RegExp(`Invalid column name ${col} because ` +
                     'it conflicts with an existing column');
@@ -97,15 +189,20 @@ class Attributes {
     }
 }
 
-Attributes.prototype.validate = () => {};
-
 Attributes.prototype._alterTable = (fullTableName) => `ALTER TABLE [${fullTableName}]`;
 
 /**
  * Index definition migrations
+ *
+ * Changes of the primary key or of the static-ness of existing attributes
+ * require the tables to be rebuilt, which is done by the attributes migrator.
+ * Hash keys can't be changed, and range keys can't be removed, as the rows
+ * might not be unique any more. Added range keys must be existing
+ * attributes, with a value in every row.
  */
 class Index {
     constructor(parentMigrator, current, proposed) {
+        this.table = parentMigrator.table;
         this.current = current;
         this.proposed = proposed;
         this.currentSchema = parentMigrator.current;
@@ -114,36 +211,85 @@ class Index {
         this.addIndex = proposed.filter((x) => !this._hasSameIndex(this.current, x));
         this.delIndex = current.filter((x) => !this._hasSameIndex(this.proposed, x));
 
-        this.alteredColumns = [];
+        // Attributes kept in the schema, moving between the data and static tables
+        this.movedColumns = Object.keys(this.currentSchema.attributes)
+        .filter((attr) => this.proposedSchema.attributes[attr] &&
+            this._isStatic(this.currentSchema, attr) !== this._isStatic(this.proposedSchema, attr));
 
-        // If index added and the column existed previously,
-        // need to remove it and add back to change index.
-        // Not supported.
-        this.addIndex.forEach((index) => {
-            if (this.currentSchema.attributes[index.attribute]) {
-                this.alteredColumns.push(index.attribute);
-            }
-        });
-
-        // If index deleted the column is not deleted,
-        // need to remove it and add back to change index.
-        // Not supported.
-        this.delIndex.forEach((index) => {
-            if (this.proposedSchema.attributes[index.attribute]) {
-                this.alteredColumns.push(index.attribute);
-            }
-        });
+        this.rebuild = stringify(this._keys(current, ['hash', 'range'])) !==
+            stringify(this._keys(proposed, ['hash', 'range'])) ||
+            this.movedColumns.length > 0;
     }
 
     validate() {
-        if (this.addIndex.some((index) => index.type !== 'static') ||
-            this.delIndex.some((index) => index.type !== 'static')) {
-            throw new Error('Only static index additions and removals supported');
+        if (stringify(this._keys(this.current, ['hash'])) !==
+                stringify(this._keys(this.proposed, ['hash']))) {
+            throw new Error('Changing hash keys is not supported');
+        }
+        const proposedRange = this._keys(this.proposed, ['range']);
+        const currentRange = this._keys(this.current, ['range']);
+        const removedRange = currentRange.filter((attr) => proposedRange.indexOf(attr) < 0);
+        if (removedRange.length) {
+            throw new Error(`Removing range keys ${removedRange.join(', ')} ` +
+                'cannot preserve the uniqueness of rows');
         }
-        if (this.alteredColumns.length > 0) {
-            throw new Error('Changing index on existing column not supported');
+        const newAttributes = proposedRange.filter((attr) => currentRange.indexOf(attr) < 0 &&
+            !this.currentSchema.attributes[attr]);
+        if (newAttributes.length) {
+            throw new Error(`Range keys ${newAttributes.join(', ')} are not existing ` +
+                'attributes, the rows have no value for them');
         }
     }
+
+    /**
+     * Check that the rows can be rebuilt with the proposed keys: the
+     * attributes becoming range keys must have a value in every row, and
+     * the attributes becoming static a single value per partition.
+     * @param  {Object} tx the migration transaction
+     * @return {Promise}   a promise that rejects with a 400 if they can't
+     */
+    checkRows(tx) {
+        const field = dbu.fieldName;
+        const newKeys = this._keys(this.proposed, ['range'])
+        .filter((attr) => this._keys(this.current, ['range']).indexOf(attr) < 0);
+        const toStatic = this.movedColumns
+        .filter((attr) => this._isStatic(this.proposedSchema, attr));
+        const hashKeys = Object.keys(this.proposedSchema.iKeyMap)
+        .filter((attr) => this.proposedSchema.iKeyMap[attr].type === 'hash')
+        .map(field).join(', ');
+        let source = `[${this.table}_data]`;
+        if (newKeys.some((attr) => this._isStatic(this.currentSchema, attr))) {
+            source += ` natural left outer join [${this.table}_static]`;
+        }
+        const fail = (title) => {
+            throw new dbu.HTTPError({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    title: `The rows of table ${this.table} can't be migrated: ${title}`
+                }
+            });
+        };
+        return P.try(() => newKeys.length &&
+            tx.all(`select 1 from ${source} where ` +
+                `${newKeys.map((attr) => `${field(attr)} is null`).join(' or ')} limit 1`))
+        .then((rows) => {
+            if (rows && rows.length) {
+                fail(`range keys ${newKeys.join(', ')} have no value in some rows`);
+            }
+            return toStatic.length &&
+                tx.all(`select 1 from (select distinct ${hashKeys}, ` +
+                    `${toStatic.map(field).join(', ')} from [${this.table}_data] where ` +
+                    `${toStatic.map((attr) => `${field(attr)} is not null`).join(' or ')}) ` +
+                    `group by ${hashKeys} having count(*) > 1 limit 1`);
+        })
+        .then((rows) => {
+            if (rows && rows.length) {
+                fail(`static attributes ${toStatic.join(', ')} have several values ` +
+                    'in some partitions');
+            }
+        });
+    }
 }
 
 Index.prototype._hasSameIndex = (indexes, proposedIndex) =>
@@ -151,16 +297,127 @@ Index.prototype._hasSameIndex = (indexes, proposedIndex) =>
         idx.type === proposedIndex.type &&
         idx.order === proposedIndex.order);
 
+Index.prototype._keys = (index, types) => index
+    .filter((elem) => types.indexOf(elem.type) >= 0)
+    .map((elem) => elem.attribute);
+
+Index.prototype._isStatic = (schema, attr) =>
+    !!schema.iKeyMap[attr] && schema.iKeyMap[attr].type === 'static';
+
 Index.prototype.migrate = () => {
     // The migration is happening on individual attribute migration
 };
 
+/**
+ * Secondary index migrations
+ */
+class SecondaryIndexes {
+    constructor(parentMigrator, current, proposed) {
+        this.log = parentMigrator.log;
+        this.table = parentMigrator.table;
+        this.proposedSchema = parentMigrator.proposed;
+
+        current = current || {};
+        proposed = proposed || {};
+        // Changed index definitions are dropped and created anew
+        this.delIndexes = Object.keys(current).filter((name) => !proposed[name] ||
+            stringify(current[name]) !== stringify(proposed[name]));
+        this.addIndexes = Object.keys(proposed).filter((name) => !current[name] ||
+            stringify(current[name]) !== stringify(proposed[name]));
+    }
+
+    migrate(tx) {
+        const queries = this.delIndexes.map((name) => {
+            this.log('warn/schemaMigration/secondaryIndexes', {
+                message: `removing secondary index ${name}`,
+                index: name
+            });
+            return { sql: dbu.buildDropSecondaryIndexSql(this.table, name) };
+        })
+        .concat(this.addIndexes.map((name) => {
+            this.log('warn/schemaMigration/secondaryIndexes', {
+                message: `adding secondary index ${name}`,
+                index: name
+            });
+            return { sql: dbu.buildSecondaryIndexSql(this.proposedSchema, this.table, name) };
+        }));
+        return tx.runQueries(queries);
+    }
+}
+
+SecondaryIndexes.prototype.validate = () => {
+    // Index definitions are validated when building the schema info
+};
+
+/**
+ * Full-text index migrations
+ *
+ * The index is created anew when the indexed attributes change. It's also
+ * recreated when the tables are rebuilt, as its triggers are dropped along
+ * with the data table, and the rows it refers to get new rowids.
+ */
+class FullTextIndex {
+    constructor(parentMigrator, current, proposed) {
+        this.log = parentMigrator.log;
+        this.table = parentMigrator.table;
+        this.proposedSchema = parentMigrator.proposed;
+        this.current = current || [];
+        this.proposed = proposed || [];
+    }
+
+    migrate(tx, rebuild) {
+        const changed = stringify(this.current) !== stringify(this.proposed);
+        if (!changed && !(rebuild && this.proposed.length)) {
+            return P.resolve();
+        }
+        this.log('warn/schemaMigration/fullTextIndex', {
+            message: 'recreating the full-text index',
+            current: this.current,
+            proposed: this.proposed
+        });
+        return tx.runQueries(dbu.buildDropFullTextIndexSql(this.table)
+            .concat(dbu.buildFullTextIndexSql(this.proposedSchema, this.table)));
+    }
+}
+
+FullTextIndex.prototype.validate = () => {
+    // The indexed attributes are validated when building the schema info
+};
+
+/**
+ * Revision retention policy migrations
+ *
+ * The policy is only enforced on writes, so changing it merely requires
+ * storing the new schema; the new policy applies starting with the next write.
+ */
+class RevisionRetentionPolicy {
+    constructor(parentMigrator, current, proposed) {
+        this.log = parentMigrator.log;
+        this.current = current;
+        this.proposed = proposed;
+    }
+
+    migrate() {
+        if (stringify(this.current) !== stringify(this.proposed)) {
+            this.log('warn/schemaMigration/revisionRetentionPolicy', {
+                current: this.current,
+                proposed: this.proposed
+            });
+        }
+        return P.resolve();
+    }
+}
+
+RevisionRetentionPolicy.prototype.validate = () => {
+    // The proposed policy is validated when building the schema info
+};
+
 /**
  * Version handling
  */
 class Version {
     constructor(parentMigrator, current, proposed) {
-        this.db = parentMigrator.db;
+        this.log = parentMigrator.log;
         this.current = current;
         this.proposed = proposed;
     }
@@ -173,7 +430,7 @@ class Version {
     }
 
     migrate() {
-        this.db.log('warn/schemaMigration/version', {
+        this.log('warn/schemaMigration/version', {
             current: this.current,
             proposed: this.proposed
         });
@@ -185,6 +442,9 @@ const migrationHandlers = {
     table: Table,
     attributes: Attributes,
     index: Index,
+    secondaryIndexes: SecondaryIndexes,
+    fullTextIndex: FullTextIndex,
+    revisionRetentionPolicy: RevisionRetentionPolicy,
     version: Version
 };
 
@@ -203,17 +463,26 @@ const migrationHandlers = {
  * @throws {Error}             if the proposed migration fails to validate
  */
 class SchemaMigrator {
-    constructor(db, req, table, current, proposed) {
+    constructor(db, req, table, current, proposed, dryRun) {
         this.db = db;
+        // Dry runs only describe the migration, so there's nothing to log
+        this.log = dryRun ? () => {} : db.log;
         this.req = req;
         this.table = table;
         this.current = current;
         this.proposed = proposed;
 
-        this.migrators = Object.keys(migrationHandlers)
+        this.migratorNames = Object.keys(migrationHandlers);
+        this.migrators = this.migratorNames
         .map((key) => new migrationHandlers[key](this, current[key], proposed[key]));
 
-        this._validate();
+        if (!dryRun) {
+            this._validate();
+        }
+    }
+
+    _migrator(name) {
+        return this.migrators[this.migratorNames.indexOf(name)];
     }
 
     _validate() {
@@ -223,11 +492,99 @@ class SchemaMigrator {
     }
 
     /**
-     * Perform any required migration tasks.
+     * Describe the migration without performing it: the planned operations,
+     * whether the migration is rejected, and the SQL it would execute.
+     * @param  {Array} queries extra queries the migration would be completed with
+     * @return {Promise<Object>} a promise resolving with the migration plan
+     */
+    plan(queries) {
+        const attributes = this._migrator('attributes');
+        const secondaryIndexes = this._migrator('secondaryIndexes');
+        const retention = this._migrator('revisionRetentionPolicy');
+        const plan = {
+            rejected: false,
+            operations: {
+                addColumns: attributes.addColumns,
+                removeColumns: attributes.delColumns,
+                convertColumns: attributes.changedColumns.map((col) => ({
+                    column: col,
+                    from: attributes.current[col],
+                    to: attributes.proposed[col]
+                })),
+                rebuildTable: this.migrators.some((migrator) => migrator.rebuild),
+                createStaticTable: !dbu.staticTableExist(this.current) &&
+                    dbu.staticTableExist(this.proposed),
+                addSecondaryIndexes: secondaryIndexes.addIndexes,
+                removeSecondaryIndexes: secondaryIndexes.delIndexes,
+                version: {
+                    current: this.current.version,
+                    proposed: this.proposed.version
+                }
+            },
+            sql: []
+        };
+        if (stringify(retention.current) !== stringify(retention.proposed)) {
+            plan.operations.revisionRetentionPolicy = {
+                current: retention.current,
+                proposed: retention.proposed
+            };
+        }
+        const fullTextIndex = this._migrator('fullTextIndex');
+        if (stringify(fullTextIndex.current) !== stringify(fullTextIndex.proposed)) {
+            plan.operations.fullTextIndex = {
+                current: fullTextIndex.current,
+                proposed: fullTextIndex.proposed
+            };
+        }
+        try {
+            this._validate();
+        } catch (e) {
+            plan.rejected = true;
+            plan.reason = e.message;
+            return P.resolve(plan);
+        }
+
+        // Record the statements instead of executing them
+        const recorder = {
+            run: (sql, params) => {
+                plan.sql.push({ sql, params });
+                return P.resolve(0);
+            },
+            runQueries: (queries) => P.mapSeries(queries.filter((query) => query && query.sql),
+                (query) => recorder.run(query.sql, query.params)),
+            all: () => P.resolve([])
+        };
+        return this.migrate(recorder)
+        .then(() => recorder.runQueries(queries || []))
+        .thenReturn(plan);
+    }
+
+    /**
+     * Perform any required migration tasks. All of them are run in the
+     * given transaction, so that a failure leaves the table untouched.
+     * @param  {Object} tx the transaction to migrate in, see Wrapper#transaction
      * @return {Promise} a promise that resolves when the migration tasks are complete
      */
-    migrate() {
-        return P.each(this.migrators, (migrator) => migrator.migrate());
+    migrate(tx) {
+        const rebuild = this.migrators.some((migrator) => migrator.rebuild);
+        return this._migrator('index').checkRows(tx)
+        .then(() => P.each(this.migrators, (migrator, idx) =>
+            P.try(() => migrator.migrate(tx, rebuild))
+            .catch((e) => {
+                const name = this.migratorNames[idx];
+                // Constraint failures are caused by the rows, not by an error
+                const constraint = (e.cause || e).code === 'SQLITE_CONSTRAINT';
+                throw new dbu.HTTPError({
+                    status: constraint ? 400 : 500,
+                    body: {
+                        type: 'schema_migration_error',
+                        title: `The ${name} migration of table ${this.table} failed, ` +
+                            `no changes were made (${e.message}).`,
+                        migrator: name,
+                        stack: e.stack
+                    }
+                });
+            })));
     }
 }
 
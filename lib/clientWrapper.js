@@ -3,47 +3,244 @@
 const P = require('bluebird');
 const sqlite3 = require('sqlite3').verbose();
 const genericPool = require('generic-pool');
+const LRU = require('lru-cache');
+const fs = require('fs');
 
 P.promisifyAll(sqlite3, { suffix: '_p' });
 
+/**
+ * Same as `Database#run_p`, but resolves with the number of rows changed
+ * by the statement.
+ */
+const runChanges = P.promisify(function (sql, params, callback) {
+    this.run(sql, params, function (err) {
+        callback(err, err ? undefined : this.changes);
+    });
+});
+
+/**
+ * Copy pages of a backup.
+ * @param {sqlite3.Backup} backup the backup
+ * @param {number} pages the number of pages to copy, or -1 for all of them
+ * @return {Promise<boolean>} resolving with whether the backup is complete
+ */
+function stepBackup(backup, pages) {
+    return new P((resolve, reject) => {
+        backup.step(pages, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(backup.completed);
+            }
+        });
+    });
+}
+
+/**
+ * Start a backup.
+ * @param {sqlite3.Database} client the connection to the database
+ * @param {string} path the path of the other database file
+ * @param {boolean} restore whether to copy the file to the database,
+ *        rather than the database to the file
+ * @return {Promise<sqlite3.Backup>} resolving with the backup once started
+ */
+function startBackup(client, path, restore) {
+    return new P((resolve, reject) => {
+        const callback = function (err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(this);
+            }
+        };
+        if (restore) {
+            client.backup(path, 'main', 'main', false, callback);
+        } else {
+            client.backup(path, callback);
+        }
+    });
+}
+
+function finishBackup(backup) {
+    return new P((resolve) => backup.finish(resolve));
+}
+
+function isBusy(err) {
+    return err && (err.code === 'SQLITE_BUSY' || err.code === 'SQLITE_LOCKED');
+}
+
+// LIKE is case-insensitive by default, unlike the range scans which
+// `prefix` and `like` predicates are compiled to
+const CASE_SENSITIVE_LIKE = 'pragma case_sensitive_like = on';
+
+// The pragmas which can be configured, and their default values
+const PRAGMAS = {
+    journal_mode: 'wal',
+    synchronous: undefined,
+    busy_timeout: undefined,
+    cache_size: undefined,
+    mmap_size: undefined
+};
+
+// The options of the connections, which are shared by the databases of
+// the storage groups, unless a group sets them
+const CONNECTION_OPTIONS = [
+    'pool_acquire_timeout',
+    'pool_idle_timeout',
+    'reader_pool_size',
+    'statement_cache_size',
+    'retry_delay',
+    'retry_limit',
+    'show_sql',
+    'backup_step_pages'
+].concat(Object.keys(PRAGMAS));
+
+// Each connection to an in-memory database gets a database of its own
+const MEMORY_DB = ':memory:';
+
 function expandDBName(options) {
     const dbName = options.conf.dbname || 'sqlite.db';
     return dbName.replace(/^~/, process.env.HOME || process.env.USERPROFILE);
 }
 
+/**
+ * Builds the statements setting up a new connection from the config.
+ * @param {Object} conf the module configuration
+ * @return {Array} the pragma statements to run on each connection
+ */
+function pragmaStatements(conf) {
+    const statements = [ CASE_SENSITIVE_LIKE ];
+    Object.keys(PRAGMAS).forEach((name) => {
+        const value = conf[name] !== undefined ? conf[name] : PRAGMAS[name];
+        if (value === undefined || value === null) {
+            return;
+        }
+        if (!/^-?\w+$/.test(String(value))) {
+            throw new Error(`Invalid value for ${name}: ${value}`);
+        }
+        statements.push(`pragma ${name} = ${value}`);
+    });
+    return statements;
+}
+
 class Wrapper {
     constructor(options) {
         const delay = options.conf.retry_delay || 100;
+        const idleTimeoutMillis = options.conf.pool_idle_timeout || 10000;
+        const statementCacheSize = options.conf.statement_cache_size || 500;
+        const pragmas = pragmaStatements(options.conf);
+        const memory = options.conf.dbname === MEMORY_DB;
 
         this.conf = options.conf;
         this.log = options.log;
         this.retryLimit = options.conf.retry_limit || 5;
         this.randomDelay = () => Math.ceil(Math.random() * delay);
 
-        this.connectionPool = genericPool.createPool({
-            create() {
-                return P.resolve(new sqlite3.Database(expandDBName(options)));
+        const open = () => {
+            const client = new sqlite3.Database(expandDBName(options));
+            return P.each(pragmas, (pragma) => client.run_p(pragma)).thenReturn(client);
+        };
+        const openReader = () => open()
+        .then((client) => {
+            client.statements = new LRU({
+                max: statementCacheSize,
+                dispose(sql, statement) {
+                    statement.finalize();
+                }
+            });
+            return client;
+        });
+        const destroyReader = (client) => {
+            // Finalize the statements, or the connection can't be closed
+            client.statements.reset();
+            return client.close_p();
+        };
+
+        this._memoryClient = null;
+        if (memory) {
+            // Read now, so that a missing fixture fails the startup
+            const fixture = options.conf.fixture && fs.readFileSync(options.conf.fixture, 'utf8');
+            this._openMemory = () => openReader()
+            .tap((client) => fixture && client.exec_p(fixture)
+                .catch((e) => client.close_p().finally(() => {
+                    throw new Error(`Seeding from ${options.conf.fixture} failed: ${e.message}`);
+                })));
+            // The database only lives as long as its connection, so a
+            // single one is kept open, serving both reads and writes. It
+            // is opened by `open`, so that its failures reject the startup.
+            this.connectionPool = genericPool.createPool({
+                create: () => {
+                    const client = this._memoryClient;
+                    return client ? P.resolve(client) : this._openMemory();
+                },
+                destroy: (client) => {
+                    this._memoryClient = null;
+                    return destroyReader(client);
+                }
             },
-            destroy(client) {
-                return P.try(() => client.close());
-            }
-        },
-        {
-            max: 1,
-            idleTimeoutMillis: options.conf.pool_idle_timeout || 10000,
-            log: options.log,
-            Promise: P
+            {
+                max: 1,
+                acquireTimeoutMillis: options.conf.pool_acquire_timeout || 30000,
+                log: options.log,
+                Promise: P
+            });
+            this.readerPool = this.connectionPool;
+        } else {
+            this.connectionPool = genericPool.createPool({
+                create: open,
+                destroy(client) {
+                    return client.close_p();
+                }
+            },
+            {
+                max: 1,
+                idleTimeoutMillis,
+                log: options.log,
+                Promise: P
+            });
+            // Reads run in parallel, on connections of their own. Each of
+            // them keeps the statements prepared on it.
+            this.readerPool = genericPool.createPool({
+                create: openReader,
+                destroy: destroyReader
+            },
+            {
+                max: options.conf.reader_pool_size || 4,
+                idleTimeoutMillis,
+                log: options.log,
+                Promise: P
+            });
+        }
+        this._backups = new Set();
+        this._closing = null;
+    }
+
+    /**
+     * Open the connection to an in-memory database, seeding it from the
+     * fixture if any. Connections to database files are opened on demand.
+     * @return {Promise} a promise resolving once the database is ready
+     */
+    open() {
+        if (!this._openMemory || this._memoryClient) {
+            return P.resolve();
+        }
+        return this._openMemory()
+        .then((client) => {
+            this._memoryClient = client;
         });
-        this.readerConnection = new sqlite3.Database(expandDBName(options));
     }
 
     /**
-     * Run a set of queries within a transaction.
-     * @param {Array} queries an array of query objects, containing sql field with SQL
-     *        and params array with query parameters.
-     * @return {Promise} operation promise
+     * Run a function within a transaction. The function is passed a
+     * transaction object with `run(sql, params)`, `runQueries(queries)` and
+     * `all(sql, params)` methods, executing statements on the transaction's
+     * connection. The
+     * transaction is committed once the promise returned by the function
+     * resolves, and rolled back if it rejects.
+     * @param {Function} callback the function to run within the transaction
+     * @return {Promise} operation promise, resolving with the callback's result
      */
-    run(queries) {
+    transaction(callback) {
         let retryCount = 0;
 
         const beginTransaction = (client) => {
@@ -69,14 +266,25 @@ class Wrapper {
         return this.connectionPool.acquire()
         .then(beginTransaction)
         .then((client) => {
-            queries = queries.filter((query) => query && query.sql);
-            return P.each(queries, (query) => {
-                if (this.conf.show_sql) {
-                    this.log(query.sql);
+            const tx = {
+                run: (sql, params) => {
+                    if (this.conf.show_sql) {
+                        this.log(sql);
+                    }
+                    return runChanges.call(client, sql, params);
+                },
+                // Queries without SQL are skipped, and reported as changing no rows
+                runQueries: (queries) => P.mapSeries(queries, (query) =>
+                    (query && query.sql ? tx.run(query.sql, query.params) : 0)),
+                all: (sql, params) => {
+                    if (this.conf.show_sql) {
+                        this.log(sql, params);
+                    }
+                    return client.all_p(sql, params);
                 }
-                return client.run_p(query.sql, query.params);
-            })
-            .then(() => client)
+            };
+            return P.try(() => callback(tx))
+            .then((result) => ({ client, result }))
             .catch((err) => {
                 if (this.conf.show_sql) {
                     this.log('rollback');
@@ -86,45 +294,239 @@ class Wrapper {
                 .thenThrow(err);
             });
         })
-        .then((client) => {
+        .then((res) => {
             this.log('commit');
-            return client.run_p('commit')
+            return res.client.run_p('commit')
+            .finally(() => this.connectionPool.release(res.client))
+            .thenReturn(res.result);
+        });
+    }
+
+    /**
+     * Run a set of queries within a transaction.
+     * @param {Array} queries an array of query objects, containing sql field with SQL
+     *        and params array with query parameters.
+     * @return {Promise<Array>} operation promise, resolving with the number of
+     *         rows changed by each of the queries, in the order of the queries
+     */
+    run(queries) {
+        return this.transaction((tx) => tx.runQueries(queries));
+    }
+
+    /**
+     * Run a single statement outside of a transaction. Needed for
+     * statements like `vacuum`, which SQLite refuses to run in one.
+     * @param {string} sql SQL statement to execute
+     * @return {Promise} operation promise
+     */
+    exec(sql) {
+        return this.connectionPool.acquire()
+        .then((client) => {
+            if (this.conf.show_sql) {
+                this.log(sql);
+            }
+            return client.run_p(sql)
             .finally(() => this.connectionPool.release(client));
         });
     }
 
     /**
-     * Run read query and return a result promise
-     * @param {Object} query SQL query to execute
-     * @param {Object} params query parameters
-     * @return {Promise} query result promise
+     * Copy the database to a file, using SQLite's online backup API. The
+     * pages are copied a few at a time, on the writer connection, which is
+     * released between the steps: writers are only held up for a step, and
+     * their changes are carried over to the copy.
+     * @param {string} path the path of the file to copy the database to
+     * @param {Object} [options]
+     * @param {number} [options.pages] the number of pages copied by each step
+     * @param {number} [options.delay] the amount of milliseconds between two steps
+     * @return {Promise<number>} operation promise, resolving with the number
+     *         of pages of the database
      */
-    all(query, params) {
+    backup(path, options) {
+        options = options || {};
+        const pages = options.pages || this.conf.backup_step_pages || 100;
+        const delay = options.delay === undefined ? 10 : options.delay;
         let retryCount = 0;
+        let backup;
+
         if (this.conf.show_sql) {
-            this.log(query.sql, params);
+            this.log('backup', path);
         }
+        const step = () => this.connectionPool.acquire()
+        .then((client) => P.try(() => backup || startBackup(client, path))
+        .then((started) => {
+            backup = started;
+            return stepBackup(backup, pages);
+        })
+        .finally(() => this.connectionPool.release(client)))
+        .then((done) => {
+            retryCount = 0;
+            return done ? backup.pageCount : P.delay(delay).then(step);
+        })
+        .catch((err) => {
+            if (isBusy(err) && retryCount++ < this.retryLimit) {
+                return P.delay(this.randomDelay()).then(step);
+            }
+            throw err;
+        });
+
+        // Closing waits for the backup, which doesn't hold the connection in between steps
+        const operation = step()
+        .finally(() => backup && finishBackup(backup));
+        this._backups.add(operation);
+        return operation.finally(() => this._backups.delete(operation));
+    }
 
-        const operation = () => {
-            return query.all_p(params)
+    /**
+     * Replace the content of the database with the one of a file, using
+     * SQLite's online backup API. Writers wait for the restore to complete.
+     * @param {string} path the path of the file to restore the database from
+     * @return {Promise} operation promise
+     */
+    restore(path) {
+        let retryCount = 0;
+        if (this.conf.show_sql) {
+            this.log('restore', path);
+        }
+        // SQLite would create a missing file, and restore it as an empty database
+        return P.fromCallback((callback) => fs.access(path, fs.constants.R_OK, callback))
+        .then(() => this.connectionPool.acquire())
+        .then((client) => startBackup(client, path, true)
+        .then((backup) => {
+            const step = () => stepBackup(backup, -1)
             .catch((err) => {
-                if (err && err.cause &&
-                err.cause.code === 'SQLITE_BUSY' &&
-                retryCount++ < this.retryLimit) {
-                    return P.delay(this.randomDelay())
-                    .then(operation);
-                } else {
-                    throw err;
+                if (isBusy(err) && retryCount++ < this.retryLimit) {
+                    return P.delay(this.randomDelay()).then(step);
                 }
+                throw err;
             });
-        };
+            return step()
+            .finally(() => finishBackup(backup));
+        })
+        .finally(() => this.connectionPool.release(client)));
+    }
+
+    /**
+     * Wait for the backups, transactions and reads in progress, then close all of
+     * the connections, finalizing the statements prepared on them. No
+     * queries can be run afterwards.
+     * @return {Promise} resolves once all of the connections are closed
+     */
+    close() {
+        if (!this._closing) {
+            const pools = new Set([ this.connectionPool, this.readerPool ]);
+            this._closing = P.all(Array.from(this._backups).map((backup) => backup.reflect()))
+            .then(() => P.all(Array.from(pools)
+                .map((pool) => pool.drain().then(() => pool.clear()))));
+        }
+        return this._closing;
+    }
 
-        return operation();
+    /**
+     * Run a function with a reader connection, and the statement prepared
+     * for a query on it.
+     * @param {string} sql SQL query to prepare
+     * @param {Function} callback the function to run with the statement
+     * @return {Promise} operation promise, resolving with the callback's result
+     */
+    _withStatement(sql, callback) {
+        return this.readerPool.acquire()
+        .then((client) => {
+            let statement = client.statements.get(sql);
+            if (!statement) {
+                statement = client.prepare(sql);
+                client.statements.set(sql, statement);
+            }
+            return P.try(() => callback(statement))
+            .finally(() => this.readerPool.release(client));
+        });
     }
 
-    prepare(query) {
-        return this.readerConnection.prepare(query);
+    /**
+     * Run read query and return a result promise
+     * @param {string} sql SQL query to execute
+     * @param {Object} params query parameters
+     * @return {Promise} query result promise
+     */
+    all(sql, params) {
+        let retryCount = 0;
+        if (this.conf.show_sql) {
+            this.log(sql, params);
+        }
+
+        return this._withStatement(sql, (query) => {
+            const operation = () => {
+                return query.all_p(params)
+                .catch((err) => {
+                    if (err && err.cause &&
+                    err.cause.code === 'SQLITE_BUSY' &&
+                    retryCount++ < this.retryLimit) {
+                        return P.delay(this.randomDelay())
+                        .then(operation);
+                    } else {
+                        throw err;
+                    }
+                });
+            };
+
+            return operation();
+        });
+    }
+
+    /**
+     * Run read query, passing the rows to a function as they are fetched,
+     * without collecting them. A query failing because the database is
+     * locked is only retried if no rows were passed on yet.
+     * @param {string} sql SQL query to execute
+     * @param {Object} params query parameters
+     * @param {Function} onRow function called with each row
+     * @return {Promise<number>} operation promise, resolving with the number of rows
+     */
+    each(sql, params, onRow) {
+        let retryCount = 0;
+        let rowCount = 0;
+        if (this.conf.show_sql) {
+            this.log(sql, params);
+        }
+
+        return this._withStatement(sql, (query) => {
+            const operation = () => {
+                return new P((resolve, reject) => {
+                    let rowError;
+                    query.each(params, (err, row) => {
+                        if (err || rowError) {
+                            return;
+                        }
+                        rowCount++;
+                        try {
+                            onRow(row);
+                        } catch (e) {
+                            rowError = e;
+                        }
+                    }, (err) => {
+                        if (err || rowError) {
+                            reject(err || rowError);
+                        } else {
+                            resolve(rowCount);
+                        }
+                    });
+                })
+                .catch((err) => {
+                    if (err && err.code === 'SQLITE_BUSY' &&
+                            !rowCount && retryCount++ < this.retryLimit) {
+                        return P.delay(this.randomDelay())
+                        .then(operation);
+                    } else {
+                        throw err;
+                    }
+                });
+            };
+
+            return operation();
+        });
     }
 }
 
+Wrapper.CONNECTION_OPTIONS = CONNECTION_OPTIONS;
+
 module.exports = Wrapper;
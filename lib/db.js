@@ -8,25 +8,263 @@ const LRU = require('lru-cache');
 const validator = require('restbase-mod-table-spec').validator;
 const stringify = require('fast-json-stable-stringify');
 const extend = require('extend');
+const crypto = require('crypto');
+const Readable = require('stream').Readable;
+
+/**
+ * Checks of the predicate operators the spec validator does not know about.
+ * Each returns the predicate validated by the spec validator in its place.
+ */
+const localOperators = {
+    in(key, list) {
+        if (!Array.isArray(list) || !list.length) {
+            throw new Error(`Invalid query. The in predicate on ${key} ` +
+                'requires a non-empty list of values');
+        }
+        if (list.length > dbu.MAX_IN_LIST_SIZE) {
+            throw new Error(`Invalid query. The in predicate on ${key} has more ` +
+                `than ${dbu.MAX_IN_LIST_SIZE} values`);
+        }
+        return list[0];
+    },
+    prefix(key, value, schema) {
+        return localOperators.like(key, value, schema, 'prefix');
+    },
+    like(key, value, schema, op) {
+        if ((schema.attributes[key] !== 'string' && !dbu.parseJsonPath(key)) ||
+                typeof value !== 'string') {
+            throw new Error(`Invalid query. The ${op || 'like'} predicate requires ` +
+                `a string attribute and value: ${key}`);
+        }
+        // Only allowed on range keys, like the other range conditions
+        return { ge: value };
+    }
+};
+
+/**
+ * The operators allowed in predicates on non-key attributes
+ */
+const filterOperators = ['eq', 'lt', 'gt', 'le', 'ge', 'between', 'in', 'prefix', 'like',
+    'contains'];
+
+/**
+ * Validate a reference to a path within a `json` attribute.
+ * @param {string} key    the reference, like `meta.$.content_type`
+ * @param {Object} schema the schema of the queried table or index
+ * @throws {Error} if the attribute is no `json` attribute, or the path is invalid
+ */
+function validateJsonPath(key, schema) {
+    const ref = dbu.parseJsonPath(key);
+    if (schema.attributes[ref.attribute] !== 'json') {
+        throw new Error(`Invalid query. JSON paths require a json attribute: ${key}`);
+    }
+    if (!dbu.isValidJsonPath(ref.path)) {
+        throw new Error(`Invalid query. Invalid JSON path ${key}`);
+    }
+}
+
+/**
+ * Validate a predicate on a non-key attribute.
+ * @param {string} key     the attribute
+ * @param {*}      predObj the predicate
+ * @param {Object} schema  the schema of the queried table or index
+ * @throws {Error} if the predicate is invalid
+ */
+function validateFilter(key, predObj, schema) {
+    if (dbu.parseJsonPath(key)) {
+        validateJsonPath(key, schema);
+    } else if (!schema.attributes[key]) {
+        throw new Error(`Invalid query. Unknown attribute ${key}`);
+    }
+    if (!predObj || predObj.constructor !== Object) {
+        return;
+    }
+    const predOps = Object.keys(predObj);
+    const op = predOps.length === 1 && predOps[0].toLowerCase();
+    if (filterOperators.indexOf(op) < 0) {
+        throw new Error(`Illegal predicate operator for ${JSON.stringify(predObj)}`);
+    }
+    if (op === 'between' &&
+            (!Array.isArray(predObj[predOps[0]]) || predObj[predOps[0]].length !== 2)) {
+        throw new Error(`Invalid query. The between predicate on ${key} requires two values`);
+    }
+    if (op === 'contains' && !dbu.parseJsonPath(key) &&
+            !/^set<\w+>$/.test(schema.attributes[key])) {
+        throw new Error(`Invalid query. The contains predicate requires a set attribute: ${key}`);
+    }
+    if (Object.prototype.hasOwnProperty.call(localOperators, op)) {
+        localOperators[op](key, predObj[predOps[0]], schema, op);
+    }
+}
+
+/**
+ * Whether a predicate is a full-text search.
+ * @param  {*}       predObj the predicate
+ * @return {boolean}
+ */
+function isMatch(predObj) {
+    return !!predObj && predObj.constructor === Object &&
+        Object.keys(predObj).some((op) => op.toLowerCase() === 'match');
+}
+
+/**
+ * Build the error reporting an invalid full-text search.
+ * @param  {string}        key    the searched attribute
+ * @param  {string}        reason what is wrong with the search
+ * @return {dbu.HTTPError}        a 400 error
+ */
+function searchError(key, reason) {
+    return new dbu.HTTPError({
+        status: 400,
+        body: {
+            type: 'bad_request',
+            title: `Invalid query. Invalid full-text search on ${key}: ${reason}`
+        }
+    });
+}
+
+/**
+ * Check that the quotes and parentheses of a full-text search are balanced,
+ * so that it can't reach out of the column filter it is wrapped in.
+ * @param  {string}  search the FTS5 query
+ * @return {boolean}
+ */
+function isBalancedSearch(search) {
+    let depth = 0;
+    let quoted = false;
+    for (let i = 0; i < search.length && depth >= 0; i++) {
+        if (search[i] === '"') {
+            // A doubled quote within a string toggles twice
+            quoted = !quoted;
+        } else if (!quoted && search[i] === '(') {
+            depth++;
+        } else if (!quoted && search[i] === ')') {
+            depth--;
+        }
+    }
+    return depth === 0 && !quoted;
+}
+
+/**
+ * Validate a full-text search predicate.
+ * @param {string} key     the attribute
+ * @param {Object} predObj the predicate
+ * @param {Object} schema  the schema of the queried table
+ * @throws {Error} if the attribute isn't full-text indexed, or the search is invalid
+ */
+function validateMatch(key, predObj, schema) {
+    const predOps = Object.keys(predObj);
+    const search = predObj[predOps[0]];
+    if (predOps.length !== 1) {
+        throw new Error(`Invalid query. The match predicate on ${key} can't be combined ` +
+            'with other operators');
+    }
+    if (!schema.fullTextIndex || schema.fullTextIndex.indexOf(key) < 0) {
+        throw new Error(`Invalid query. Attribute ${key} is not full-text indexed`);
+    }
+    if (typeof search !== 'string' || !search.trim()) {
+        throw new Error(`Invalid query. The match predicate on ${key} requires a search`);
+    }
+    if (!isBalancedSearch(search)) {
+        throw searchError(key, 'unbalanced quotes or parentheses');
+    }
+}
+
+/**
+ * Validate a get request. Predicates using operators unknown to the spec
+ * validator are checked here first, as are predicates on non-key attributes,
+ * which are only allowed if the request sets `allowFiltering`.
+ * @param {Object} req    the get request
+ * @param {Object} schema the schema of the queried table or index
+ * @throws {Error} if the request is invalid
+ */
+function validateGetRequest(req, schema) {
+    let attributes = req.attributes;
+    if (attributes) {
+        attributes = Object.assign({}, attributes);
+        // Full-text searches use their own index, so they're no filters
+        Object.keys(attributes).forEach((key) => {
+            const predObj = attributes[key];
+            if (isMatch(predObj)) {
+                validateMatch(key, predObj, schema);
+                delete attributes[key];
+            }
+        });
+        const filters = Object.keys(attributes).filter((key) => !schema.iKeyMap[key] ||
+            (schema.iKeyMap[key].type !== 'hash' && schema.iKeyMap[key].type !== 'range'));
+        if (filters.length && !req.allowFiltering) {
+            throw new dbu.HTTPError({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    title: 'Invalid query. Predicates on non-key attributes require ' +
+                        `allowFiltering: ${filters.join(', ')}`,
+                    attributes: filters
+                }
+            });
+        }
+        filters.forEach((key) => {
+            validateFilter(key, attributes[key], schema);
+            delete attributes[key];
+        });
+        Object.keys(attributes).forEach((key) => {
+            const predObj = attributes[key];
+            if (!predObj || predObj.constructor !== Object) {
+                return;
+            }
+            const predOp = Object.keys(predObj)[0];
+            const op = predOp && predOp.toLowerCase();
+            if (op && Object.prototype.hasOwnProperty.call(localOperators, op)) {
+                attributes[key] = localOperators[op](key, predObj[predOp], schema);
+            }
+        });
+    }
+    let proj = req.proj;
+    if (proj && (Array.isArray(proj) || proj.constructor === String)) {
+        proj = [].concat(proj).filter((key) => {
+            if (dbu.parseJsonPath(key)) {
+                validateJsonPath(key, schema);
+                return false;
+            }
+            return true;
+        });
+    }
+    validator.validateGetRequest(Object.assign({}, req, {
+        index: undefined,
+        attributes,
+        proj
+    }), schema);
+}
 
 class DB {
     constructor(options) {
         this.conf = options.conf;
         this.log = options.log;
-        // SQLite client
+        // SQLite client of the default database
         this.client = new Wrapper(options);
+        /* The clients of all of the databases, by file name */
+        this._clients = new Map([ [ this.conf.dbname, this.client ] ]);
         this.schemaCache = {};
         this.schemaCache[this.schemaTableName] = this.infoSchemaInfo;
+        // The SQL of get queries, which the reader connections prepare
         this.queryCache = new LRU({
-            max: 500,
-            dispose(key, statement) {
-                statement.finalize();
-            }
+            max: this.conf.statement_cache_size || 500
         });
         /* Process the array of storage groups declared in the config */
         this._storageGroups = this._buildStorageGroups(this.conf.storage_groups);
+        /* The groups, longest names first, to find the group of a table by name */
+        this._groupsByName = this._storageGroups.slice()
+        .sort((a, b) => b.name.length - a.name.length);
         /* The cache holding the already-resolved domain-to-group mappings */
         this._storageGroupsCache = new Map();
+        /* The secret paging tokens are signed with */
+        this._pagingSecret = this.conf.paging_secret;
+        /* Background expired rows sweeper state */
+        this._sweepTimer = null;
+        this._sweeping = null;
+        this._lastVacuum = Date.now();
+        this._closed = false;
+        this._closing = null;
     }
 
     /**
@@ -51,11 +289,39 @@ class DB {
                 }
                 return domain;
             });
+            grp.client = this._storageGroupClient(grp);
             storageGroups.push(grp);
         });
         return storageGroups;
     }
 
+    /**
+     * Gets the client of the database a storage group is stored in. Groups
+     * with a `dbname` of their own are stored in that file, opened with the
+     * connection options of the module, overridden by the group's, and the
+     * other ones in the default database.
+     * @param  {Object} group the storage group
+     * @return {Wrapper}      the client of the group's database
+     */
+    _storageGroupClient(group) {
+        if (!group.dbname) {
+            return this.client;
+        }
+        if (!this._clients.has(group.dbname)) {
+            const conf = {};
+            Wrapper.CONNECTION_OPTIONS.forEach((key) => {
+                if (this.conf[key] !== undefined) {
+                    conf[key] = this.conf[key];
+                }
+            });
+            this._clients.set(group.dbname, new Wrapper({
+                conf: Object.assign(conf, group),
+                log: this.log
+            }));
+        }
+        return this._clients.get(group.dbname);
+    }
+
     /**
      * Finds the storage group for a given domain.
      * @param  {string} domain  the domain's name
@@ -93,12 +359,22 @@ class DB {
     }
 
     _tableName(domain, table) {
-        const name = this._resolveStorageGroup(domain).name;
-        return this._tableNameForStorageGroup(name, table);
+        return this._tableNameForStorageGroup(this._resolveStorageGroup(domain), table);
     }
 
-    _tableNameForStorageGroup(groupName, table) {
-        return `${groupName}_${table}`;
+    _tableNameForStorageGroup(group, table) {
+        return `${group.name}_${table}`;
+    }
+
+    /**
+     * Gets the client of the database a table is stored in: the one of the
+     * storage group the table is named after.
+     * @param  {string} tableName the table's name
+     * @return {Wrapper}          the client of the table's database
+     */
+    _client(tableName) {
+        const group = this._groupsByName.find((grp) => tableName.startsWith(`${grp.name}_`));
+        return group ? group.client : this.client;
     }
 
     getTableSchema(domain, bucket) {
@@ -107,7 +383,7 @@ class DB {
             attributes: {
                 table: tableName
             }
-        }, this.infoSchemaInfo)
+        }, this.infoSchemaInfo, { client: this._client(tableName) })
         .then((res) => {
             if (res && res.items.length) {
                 return {
@@ -131,44 +407,93 @@ class DB {
             attributes: {
                 table: tableName
             }
-        }, this.infoSchemaInfo))
+        }, this.infoSchemaInfo, { client: this._client(tableName) }))
         .then((res) => {
             if (res && res.items.length) {
                 let schema = JSON.parse(res.items[0].value);
                 schema = validator.validateAndNormalizeSchema(schema);
-                return dbu.makeSchemaInfo(schema);
+                return this._storedSchemaInfo(tableName, schema);
             } else {
                 return null;
             }
         });
     }
 
-    createTable(domain, req) {
+    /**
+     * Builds the schema info of a stored table schema. A revision retention
+     * policy which isn't supported doesn't make the table unusable: it
+     * keeps all of its revisions instead.
+     * @param  {string} tableName the table name
+     * @param  {Object} schema    the validated and normalized table schema
+     * @return {Object}           the schema info
+     */
+    _storedSchemaInfo(tableName, schema) {
+        const schemaInfo = dbu.makeSchemaInfo(schema);
+        if (schemaInfo.retentionPolicyError) {
+            this.log('warn/sqlite/revisionRetentionPolicy', {
+                message: `${schemaInfo.retentionPolicyError}, keeping all revisions`,
+                table: tableName
+            });
+        }
+        return schemaInfo;
+    }
+
+    /**
+     * Create a table, or upgrade its schema if it already exists.
+     * @param {string} domain the domain, or `*` for all storage groups
+     * @param {Object} req the table schema
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] only describe the changes the request
+     *        would make, without performing them
+     * @return {Promise} a promise resolving with the result, or with the list of
+     *         per-table plans in a dry run
+     */
+    createTable(domain, req, options) {
+        options = options || {};
         if (!req.table) {
             throw new Error('Table name required.');
         }
 
         if (domain === '*') {
-            return P.each(this._storageGroups, (group) =>
-                this._createTable(this._tableNameForStorageGroup(group.name, req.table), req));
+            return P.mapSeries(this._storageGroups, (group) =>
+                this._createTable(this._tableNameForStorageGroup(group, req.table),
+                    req, options));
         } else {
-            return this._createTable(this._tableName(domain, req.table), req);
+            return this._createTable(this._tableName(domain, req.table), req, options);
         }
     }
 
-    _createTable(tableName, req) {
+    _createTable(tableName, req, options) {
+        options = options || {};
         return this._getSchema(tableName)
         .then((currentSchema) => {
             // Validate and normalize the schema
             const schema = validator.validateAndNormalizeSchema(req);
             const schemaInfo = dbu.makeSchemaInfo(schema);
+            if (schemaInfo.retentionPolicyError) {
+                throw new dbu.HTTPError({
+                    status: 400,
+                    body: {
+                        type: 'bad_request',
+                        title: `Invalid table schema: ${schemaInfo.retentionPolicyError}`,
+                        tableName
+                    }
+                });
+            }
+            // The schema is stored in the same transaction as the table changes
+            const schemaQueries = dbu.buildPutQuery({
+                attributes: {
+                    table: tableName,
+                    value: JSON.stringify(schema)
+                }
+            }, this.schemaTableName, this.infoSchemaInfo);
             let createOperation;
             if (currentSchema) {
                 if (currentSchema.hash !== schemaInfo.hash) {
                     let migrator;
                     try {
                         migrator = new SchemaMigrator(this, req, tableName,
-                            currentSchema, schemaInfo);
+                            currentSchema, schemaInfo, options.dryRun);
                     } catch (error) {
                         throw new dbu.HTTPError({
                             status: 400,
@@ -182,7 +507,14 @@ class DB {
                             }
                         });
                     }
-                    createOperation = migrator.migrate()
+                    if (options.dryRun) {
+                        return migrator.plan(schemaQueries)
+                        .then((plan) => Object.assign({ table: tableName, action: 'migrate' },
+                            plan));
+                    }
+                    createOperation = this._client(tableName).transaction((tx) =>
+                        migrator.migrate(tx)
+                        .then(() => tx.runQueries(schemaQueries)))
                     .then(() => {
                         this.queryCache.keys().filter((key) => key.indexOf(tableName) === 0)
                         .forEach((key) => {
@@ -193,23 +525,30 @@ class DB {
                         this.log('error/sqlite/table_update', error);
                         throw error;
                     });
+                } else if (options.dryRun) {
+                    return { table: tableName, action: 'none' };
                 } else {
                     return { status: 201 };
                 }
             } else {
-                createOperation = this.client.run([
+                const queries = [
                     { sql: dbu.buildTableSql(schemaInfo, tableName) },
                     { sql: dbu.buildStaticsTableSql(schemaInfo, tableName) }
-                ]);
+                ].concat(dbu.buildSecondaryIndexesSql(schemaInfo, tableName),
+                    dbu.buildFullTextIndexSql(schemaInfo, tableName), schemaQueries)
+                .filter((query) => query && query.sql);
+                if (options.dryRun) {
+                    return {
+                        table: tableName,
+                        action: 'create',
+                        sql: queries.map((query) => ({ sql: query.sql, params: query.params }))
+                    };
+                }
+                createOperation = this._client(tableName).run(queries);
             }
             return createOperation.then(() => {
                 this.schemaCache[tableName] = schemaInfo;
-                return this._put(this.schemaTableName, {
-                    attributes: {
-                        table: tableName,
-                        value: JSON.stringify(schema)
-                    }
-                });
+                return { status: 201 };
             });
         });
     }
@@ -217,7 +556,7 @@ class DB {
     dropTable(domain, bucket) {
         if (domain === '*') {
             return P.each(this._storageGroups, (group) =>
-                this._dropTable(this._tableNameForStorageGroup(group.name, bucket)));
+                this._dropTable(this._tableNameForStorageGroup(group, bucket)));
         } else {
             return this._dropTable(this._tableName(domain, bucket));
         }
@@ -225,17 +564,17 @@ class DB {
 
     _dropTable(tableName) {
         const deleteRequest = (schema) => {
-            const queries = [
+            const queries = dbu.buildDropFullTextIndexSql(tableName).concat([
                 { sql: `drop table [${tableName}_data]` },
                 {
                     sql: `delete from [${this.schemaTableName}_data] where "table" = ?`,
                     params: [ tableName ]
                 }
-            ];
+            ]);
             if (dbu.staticTableExist(schema)) {
                 queries.push({ sql: `drop table [${tableName}_static]` });
             }
-            return this.client.run(queries);
+            return this._client(tableName).run(queries);
         };
 
         if (!this.schemaCache[tableName]) {
@@ -272,7 +611,99 @@ class DB {
         }
     }
 
+    /**
+     * Streams the rows selected by a get request, fetching them a page at a
+     * time, only as fast as they are consumed. The rows are converted like
+     * the items of `get` results.
+     * @param  {string} domain    the domain of the table
+     * @param  {Object} req       the get request; its `limit`, if any, sets
+     *                            the page size instead of limiting the rows
+     * @param  {Object} [options] `pageSize`, the number of rows fetched at once
+     * @return {stream.Readable}  an object mode stream of rows, which can also
+     *                            be iterated with `for await`
+     */
+    stream(domain, req, options) {
+        options = options || {};
+        const tableName = this._tableName(domain, req.table);
+        const pageSize = options.pageSize || req.limit || this.conf.stream_page_size || 1000;
+        let next = req.next;
+        let fetching = false;
+        let wanted = false;
+        // Tracked here, as `destroyed` and `destroy` only exist since Node 8
+        let closed = false;
+        const stream = new Readable({
+            objectMode: true,
+            highWaterMark: pageSize
+        });
+
+        const getSchema = () => {
+            if (this.schemaCache[tableName]) {
+                return P.resolve(this.schemaCache[tableName]);
+            }
+            return this._getSchema(tableName)
+            .then((schema) => {
+                this.schemaCache[tableName] = schema;
+                return schema;
+            });
+        };
+
+        const fetchPage = () => {
+            fetching = true;
+            wanted = false;
+            // _get modifies the requests, so each page gets its own copy
+            const pageReq = extend(true, {}, req, { limit: pageSize, next });
+            pageReq.attributes = pageReq.attributes || {};
+            pageReq.attributes._domain = domain;
+            return getSchema()
+            .then((schema) => this._get(tableName, pageReq, schema, {
+                includePreparedForDelete: true,
+                withTTL: req.withTTL,
+                onRow: (row) => stream.push(row)
+            }))
+            .then((res) => {
+                fetching = false;
+                next = res.next;
+                if (closed) {
+                    return;
+                }
+                if (next === undefined) {
+                    stream.push(null);
+                } else if (wanted) {
+                    return fetchPage();
+                }
+            })
+            .catch((e) => {
+                if (!closed) {
+                    closed = true;
+                    stream.emit('error', e);
+                }
+            });
+        };
+
+        stream._read = () => {
+            if (closed) {
+                return;
+            }
+            if (fetching) {
+                // Fetch the next page once the current one is done
+                wanted = true;
+            } else {
+                fetchPage();
+            }
+        };
+        stream._destroy = (err, callback) => {
+            closed = true;
+            callback(err);
+        };
+        return stream;
+    }
+
     _createGetQuery(tableName, req, schema, includePreparedForDelete) {
+        if (req.next !== undefined && req.next !== null && !dbu.isOffsetNext(req.next)) {
+            // Resume after the last row of the previous page
+            req.after = dbu.decodePagingToken(req.next, tableName, this._pagingSecret);
+            delete req.next;
+        }
         const extracted = dbu.extractGetParams(req, schema, includePreparedForDelete);
         const key = `${tableName}:${stringify(req)}`;
         const query = this.queryCache.get(key);
@@ -285,7 +716,7 @@ class DB {
         } else {
             const newQuery = dbu.buildGetQuery(tableName, req, schema, includePreparedForDelete);
             getQuery = {
-                sql: this.client.prepare(newQuery),
+                sql: newQuery,
                 params: extracted
             };
             this.queryCache.set(key, getQuery.sql);
@@ -293,13 +724,110 @@ class DB {
         return getQuery;
     }
 
+    /**
+     * Resolves the schema info a get request should be run against: the
+     * table schema info itself, or the one of the secondary index named in
+     * the request.
+     * @param  {Object} req    the get request
+     * @param  {Object} schema the table schema info
+     * @return {Object}        the schema info to use for the request
+     */
+    _getQuerySchema(req, schema) {
+        if (!req.index || !schema) {
+            return schema;
+        }
+        const indexSchema = schema.secondaryIndexInfo[req.index];
+        if (!indexSchema) {
+            throw new Error(`Invalid query. Secondary index ${req.index} does not exist`);
+        }
+        return indexSchema;
+    }
+
     _get(tableName, req, schema, options) {
         options = options || {};
-        validator.validateGetRequest(req, schema);
+        schema = this._getQuerySchema(req, schema);
+        validateGetRequest(req, schema);
+        if (req.aggregate) {
+            if (req.next !== undefined && req.next !== null) {
+                throw new Error('Invalid query. Aggregate queries are not paged');
+            }
+            req.aggregate = dbu.normalizeAggregate(req.aggregate, schema);
+        }
+        const pagingKeys = dbu.pagingKeys(req, schema);
+        const offset = dbu.isOffsetNext(req.next) ? parseInt(req.next, 10) : 0;
+        const proj = req.proj && [].concat(req.proj);
         const buildResult = this._createGetQuery(tableName, req,
             schema, options.includePreparedForDelete);
-        return this.client.all(buildResult.sql, buildResult.params)
+        const convertRow = (row) => {
+            if (options.withTTL) {
+                row._ttl = Math.floor((row._exist_until - new Date().getTime()) / 1000);
+            }
+            delete row._exist_until;
+            delete row._domain;
+            Object.keys(row).forEach((key) => {
+                if (proj && proj.indexOf(key) < 0 && key !== '_ttl') {
+                    // Only projected to page by
+                    delete row[key];
+                } else if (schema.attributes[key]) {
+                    row[key] = schema.converters[schema.attributes[key]].read(row[key]);
+                } else if (dbu.parseJsonPath(key)) {
+                    row[key] = JSON.parse(row[key]);
+                }
+            });
+            return row;
+        };
+        // Searches the FTS5 query syntax rejects are reported as invalid queries
+        const searchKeys = Object.keys(req.attributes || {})
+        .filter((key) => isMatch(req.attributes[key]));
+        const checkSearch = (err) => {
+            const message = err instanceof Object && err.cause &&
+                err.cause.code === 'SQLITE_ERROR' && err.cause.message;
+            if (searchKeys.length &&
+                    /fts5: syntax error|unterminated string|no such column/.test(message)) {
+                throw searchError(searchKeys.join(', '), message.replace(/^SQLITE_ERROR: /, ''));
+            }
+            throw err;
+        };
+        // The stored key values of the last row are kept for the paging token
+        const lastRowKeys = (row) => pagingKeys.map((key) => row[key.attribute]);
+        const nextPage = (count, lastKeys) => {
+            if (req.limit && count >= req.limit) {
+                // There might be more rows to fetch
+                return pagingKeys.length ?
+                    dbu.encodePagingToken(lastKeys, tableName, this._pagingSecret) :
+                    offset + count;
+            }
+        };
+
+        if (options.onRow) {
+            if (req.aggregate) {
+                throw new Error('Invalid query. Aggregate queries can\'t be streamed');
+            }
+            // Hand the rows over one by one, instead of collecting them
+            let count = 0;
+            let lastKeys;
+            return this._client(tableName).each(buildResult.sql, buildResult.params, (row) => {
+                count++;
+                lastKeys = lastRowKeys(row);
+                options.onRow(convertRow(row));
+            })
+            .then(() => ({
+                count,
+                next: nextPage(count, lastKeys)
+            }), checkSearch);
+        }
+
+        // Reads within a transaction run on its connection, and see its writes
+        const reader = options.tx || options.client || this._client(tableName);
+        return reader.all(buildResult.sql, buildResult.params)
         .then((result) => {
+            if (req.aggregate) {
+                // Aggregates are reported apart from rows
+                return {
+                    aggregates: [].concat(result || []).map((row) =>
+                        dbu.convertAggregateRow(row, req.aggregate, schema))
+                };
+            }
             if (!result) {
                 return {
                     count: 0,
@@ -307,20 +835,11 @@ class DB {
                 };
             }
             let rows = [];
-            const convertRow = (row) => {
-                if (options.withTTL) {
-                    row._ttl = Math.floor((row._exist_until - new Date().getTime()) / 1000);
-                }
-                delete row._exist_until;
-                delete row._domain;
-                Object.keys(row).forEach((key) => {
-                    if (schema.attributes[key]) {
-                        row[key] = schema.converters[schema.attributes[key]].read(row[key]);
-                    }
-                });
-                return row;
-            };
+            let lastKeys;
             if (result instanceof Array) {
+                if (result.length) {
+                    lastKeys = lastRowKeys(result[result.length - 1]);
+                }
                 rows = result.map(convertRow) || [];
             } else {
                 rows.push(convertRow(result));
@@ -329,11 +848,13 @@ class DB {
                 count: rows.length,
                 items: rows
             };
-            if (req.next || req.limit) {
-                result.next = (req.next || 0) + rows.length;
+            const next = nextPage(rows.length, lastKeys);
+            if (next !== undefined) {
+                result.next = next;
             }
             return result;
         })
+        .catch(checkSearch)
         .catch((err) => {
             if (err instanceof Object && err.cause && err.cause.code === 'SQLITE_ERROR') {
                 return {
@@ -361,17 +882,213 @@ class DB {
     }
 
     _put(tableName, req) {
+        const put = this._buildPut(tableName, req);
+        const report = !!this.conf.report_unapplied_writes;
+        return this._client(tableName).transaction((tx) =>
+            this._runPut(tx, tableName, req, put, report))
+        .then((res) => {
+            if (res.applied === false && !this.conf.report_unapplied_writes) {
+                return { status: 201 };
+            }
+            return res;
+        });
+    }
+
+    /**
+     * Validate a put request, and build the queries performing it.
+     * @param  {string} tableName the storage table name
+     * @param  {Object} req       the put request
+     * @return {Object}           the queries, along with the key of the row
+     */
+    _buildPut(tableName, req) {
         const schema = this.schemaCache[tableName];
-        // TODO: Resurrect validation
-        // validator.validatePutRequest(req, schema);
+        if (!schema) {
+            throw new Error(`Invalid query. No schema for ${req.table}`);
+        }
+        const problems = dbu.validatePutRequest(req, schema);
+        if (problems.length) {
+            // The table storage spec expects invalid puts to fail with a 500
+            const strict = this.conf.strict_put_validation;
+            throw new dbu.HTTPError({
+                status: strict ? 400 : 500,
+                body: {
+                    type: strict ? 'bad_request' : 'update_error',
+                    title: `Invalid put request for table ${req.table}`,
+                    problems
+                }
+            });
+        }
 
         if (req.attributes._ttl) {
             req.attributes._exist_until = new Date().getTime() + req.attributes._ttl * 1000;
             delete req.attributes._ttl;
         }
 
+        // Built first, as buildPutQuery converts the attributes in place
+        const retentionQuery = dbu.buildDeleteOlderQuery(schema, tableName, req.attributes);
+        const keyAttributes = {};
+        schema.iKeys.forEach((key) => {
+            keyAttributes[key] = req.attributes[key];
+        });
         const queries = dbu.buildPutQuery(req, tableName, schema);
-        return this.client.run(queries).thenReturn({ status: 201 });
+        queries.push(retentionQuery);
+        return {
+            schema,
+            queries,
+            keyAttributes,
+            conditional: !!req.if
+        };
+    }
+
+    /**
+     * Run the queries of a put within a transaction.
+     * @param  {Object} tx        the transaction
+     * @param  {string} tableName the storage table name
+     * @param  {Object} req       the put request
+     * @param  {Object} put       the put built by `_buildPut`
+     * @param  {boolean} report   whether to read the current row, if the
+     *                            condition of the put does not hold
+     * @return {Promise<Object>}  a promise resolving with the result of the put
+     */
+    _runPut(tx, tableName, req, put, report) {
+        const queries = put.queries;
+        return tx.run(queries[0].sql, queries[0].params)
+        .then((changes) => {
+            if (put.conditional && !changes && !report) {
+                // The condition did not hold, so nothing is written
+                return {
+                    status: 412,
+                    applied: false
+                };
+            }
+            if (put.conditional && !changes) {
+                // The condition did not hold, so nothing is written. Like
+                // Cassandra's lightweight transactions, report the current row.
+                return this._get(tableName, { table: req.table, attributes: put.keyAttributes },
+                    put.schema, { tx })
+                .then((res) => ({
+                    status: 412,
+                    applied: false,
+                    items: res.items
+                }));
+            }
+            return tx.runQueries(queries.slice(1)).thenReturn({ status: 201 });
+        });
+    }
+
+    /**
+     * Perform a list of put and delete operations atomically, within a single
+     * transaction. If any of the operations fails, or is a conditional put
+     * whose condition does not hold, none of them are applied.
+     * @param  {string} domain     the default domain of the operations
+     * @param  {Array}  operations the operations, each being a put or a delete
+     *         request with an `operation` field, and an optional `domain`
+     * @return {Promise<Array>}    a promise resolving with the results of the
+     *         operations
+     */
+    batch(domain, operations) {
+        if (!Array.isArray(operations) || !operations.length) {
+            return P.reject(new dbu.HTTPError({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    title: 'A batch requires a non-empty list of operations'
+                }
+            }));
+        }
+        // Wrap the failure of an operation, identifying the operation
+        const batchError = (index, e) => {
+            if (e && e.body && e.body.type === 'batch_error') {
+                return e;
+            }
+            return new dbu.HTTPError({
+                status: e && e.status >= 400 ? e.status : 500,
+                body: {
+                    type: 'batch_error',
+                    title: `Operation ${index} of the batch failed, no changes were made.`,
+                    index,
+                    error: e && e.body || { title: `${e}` },
+                    stack: e && e.stack
+                }
+            });
+        };
+
+        let client;
+        return P.mapSeries(operations, (op, index) => {
+            const opDomain = op.domain || domain;
+            const tableName = this._tableName(opDomain, op.table);
+            if (op.operation !== 'put' && op.operation !== 'delete') {
+                throw batchError(index, new dbu.HTTPError({
+                    status: 400,
+                    body: {
+                        type: 'bad_request',
+                        title: `Unsupported batch operation ${op.operation}`
+                    }
+                }));
+            }
+            // A transaction can't span several database files
+            client = client || this._client(tableName);
+            if (this._client(tableName) !== client) {
+                throw batchError(index, new dbu.HTTPError({
+                    status: 400,
+                    body: {
+                        type: 'bad_request',
+                        title: 'The operations of a batch must be on storage groups ' +
+                            'stored in the same database'
+                    }
+                }));
+            }
+            const req = {
+                table: op.table,
+                attributes: Object.assign({}, op.attributes, { _domain: opDomain }),
+                if: op.if
+            };
+            return P.resolve(this.schemaCache[tableName] || this._getSchema(tableName))
+            .then((schema) => {
+                this.schemaCache[tableName] = schema;
+                if (op.operation === 'put') {
+                    return { op, tableName, req, put: this._buildPut(tableName, req) };
+                }
+                if (!schema) {
+                    throw new Error(`Invalid query. No schema for ${req.table}`);
+                }
+                return {
+                    op,
+                    tableName,
+                    req,
+                    queries: [ dbu.buildDeleteQuery(req, tableName, schema) ]
+                };
+            })
+            .catch((e) => {
+                throw batchError(index, e);
+            });
+        })
+        .then((prepared) => client.transaction((tx) =>
+            P.mapSeries(prepared, (item, index) => {
+                const operation = item.put ?
+                    this._runPut(tx, item.tableName, item.req, item.put, true) :
+                    tx.runQueries(item.queries).thenReturn({ status: 204 });
+                return operation
+                .catch((e) => {
+                    throw batchError(index, e);
+                })
+                .then((res) => {
+                    if (res.applied === false) {
+                        throw new dbu.HTTPError({
+                            status: 412,
+                            body: {
+                                type: 'batch_error',
+                                title: `The condition of operation ${index} of the batch ` +
+                                    'did not hold, no changes were made.',
+                                index,
+                                applied: false,
+                                items: res.items
+                            }
+                        });
+                    }
+                    return res;
+                });
+            })));
     }
 
     delete(domain, req) {
@@ -389,9 +1106,207 @@ class DB {
 
     _delete(tableName, req) {
         const schema = this.schemaCache[tableName];
-        return this.client.run([ dbu.buildDeleteQuery(req, tableName, schema) ])
+        return this._client(tableName).run([ dbu.buildDeleteQuery(req, tableName, schema) ])
         .thenReturn({ status: 204 });
     }
+
+    /**
+     * Sets up the secret the paging tokens are signed with. Unless one is
+     * configured, a random one is generated once and kept in the default
+     * database, so that the tokens remain valid across the processes sharing
+     * it and their restarts.
+     * @return {Promise} resolves once the secret is known
+     */
+    _loadPagingSecret() {
+        if (this.conf.paging_secret) {
+            return P.resolve();
+        }
+        return this.client.transaction((tx) => tx.run('create table if not exists ' +
+            '[global_settings] (name text primary key, value text)')
+        .then(() => tx.run('insert or ignore into [global_settings] (name, value) values (?, ?)',
+            [ 'paging_secret', crypto.randomBytes(32).toString('hex') ]))
+        .then(() => tx.all('select value from [global_settings] where name = ?',
+            [ 'paging_secret' ])))
+        .then((rows) => {
+            this._pagingSecret = rows[0].value;
+        });
+    }
+
+    /**
+     * Copy the database a domain is stored in to a file, while it's in use.
+     * @param {string} domain the domain
+     * @param {string} path the path of the file to copy the database to
+     * @param {Object} [options] `pages`, the number of pages copied at once,
+     *        and `delay`, the amount of milliseconds between two copies
+     * @return {Promise<Object>} resolves with the path and the number of pages
+     */
+    backup(domain, path, options) {
+        return P.try(() => this._resolveStorageGroup(domain).client.backup(path, options))
+        .then((pages) => ({ path, pages }));
+    }
+
+    /**
+     * Replace the database a domain is stored in with a backup, and load
+     * the table schemas stored in it.
+     * @param {string} domain the domain
+     * @param {string} path the path of the backup file
+     * @return {Promise<Object>} resolves with the list of restored tables
+     */
+    restore(domain, path) {
+        let client;
+        return P.try(() => {
+            client = this._resolveStorageGroup(domain).client;
+            return client.restore(path);
+        })
+        .then(() => {
+            // Any of the tables may have changed
+            this.schemaCache = {};
+            this.schemaCache[this.schemaTableName] = this.infoSchemaInfo;
+            this.queryCache.reset();
+            return client.run([
+                { sql: dbu.buildTableSql(this.infoSchemaInfo, this.schemaTableName) }
+            ])
+            // The default database holds the paging secret
+            .then(() => client === this.client && this._loadPagingSecret());
+        })
+        .then(() => this._get(this.schemaTableName, {
+            table: this.schemaTableName
+        }, this.infoSchemaInfo, { client }))
+        .then((res) => {
+            const problems = [];
+            res.items.forEach((row) => {
+                try {
+                    const schema = validator.validateAndNormalizeSchema(JSON.parse(row.value));
+                    this.schemaCache[row.table] = this._storedSchemaInfo(row.table, schema);
+                } catch (e) {
+                    problems.push({ table: row.table, message: `${e.message || e}` });
+                }
+            });
+            if (problems.length) {
+                throw new dbu.HTTPError({
+                    status: 500,
+                    body: {
+                        type: 'restore_error',
+                        title: 'The restored database contains invalid table schemas',
+                        problems
+                    }
+                });
+            }
+            return { tables: res.items.map((row) => row.table) };
+        });
+    }
+
+    /**
+     * Schedule the next sweep of expired rows. Sweeps never overlap: the
+     * next one is only scheduled once the previous one has finished.
+     */
+    _scheduleExpirySweep() {
+        const interval = this.conf.expiry_sweep_interval === undefined ?
+            60000 : this.conf.expiry_sweep_interval;
+        if (!interval || this._closed) {
+            return;
+        }
+        this._sweepTimer = setTimeout(() => {
+            this._sweepTimer = null;
+            this._sweeping = this._sweepExpired()
+            .catch((e) => this.log('error/sqlite/expiry_sweep', e))
+            .finally(() => {
+                this._sweeping = null;
+                this._scheduleExpirySweep();
+            });
+        }, interval);
+        // Don't keep the process alive just for the sweeper
+        this._sweepTimer.unref();
+    }
+
+    /**
+     * Purge expired rows from every table listed in the schema tables,
+     * and vacuum the databases if it's due.
+     * @return {Promise} resolves when the sweep is complete
+     */
+    _sweepExpired() {
+        const clients = Array.from(this._clients.values());
+        return P.each(clients, (client) => this._get(this.schemaTableName, {
+            table: this.schemaTableName,
+            proj: ['table']
+        }, this.infoSchemaInfo, { client })
+        .then((res) => P.each(res.items, (row) => this._purgeExpired(row.table, client)
+            .then((purged) => {
+                if (purged) {
+                    this.log('info/sqlite/expiry_sweep', {
+                        table: row.table,
+                        purged
+                    });
+                }
+            })
+            .catch((e) => {
+                // The table might have been dropped in the meantime
+                this.log('error/sqlite/expiry_sweep', {
+                    table: row.table,
+                    error: e
+                });
+            }))))
+        .then(() => {
+            const vacuumInterval = this.conf.vacuum_interval;
+            if (!this._closed && vacuumInterval &&
+                    Date.now() - this._lastVacuum >= vacuumInterval) {
+                this._lastVacuum = Date.now();
+                return P.each(clients, (client) => client.exec('vacuum'))
+                .then(() => this.log('info/sqlite/vacuum', { message: 'database vacuumed' }));
+            }
+        });
+    }
+
+    /**
+     * Delete expired rows of a table in batches of `expiry_sweep_batch_size`,
+     * each in its own transaction so that writers are not blocked for long.
+     * @param {string} tableName the table to purge
+     * @param {Wrapper} client the client of the table's database
+     * @return {Promise<number>} the number of purged rows
+     */
+    _purgeExpired(tableName, client) {
+        const batchSize = this.conf.expiry_sweep_batch_size || 1000;
+        let purged = 0;
+        const purgeBatch = () => {
+            if (this._closed) {
+                return P.resolve(purged);
+            }
+            return client.run([
+                dbu.buildDeleteExpiredQuery(this.schemaCache[tableName], tableName, batchSize)
+            ])
+            .then((changes) => {
+                purged += changes[0];
+                if (changes[0] < batchSize) {
+                    return purged;
+                }
+                return purgeBatch();
+            });
+        };
+        return purgeBatch();
+    }
+
+    /**
+     * Stop the background tasks, wait for the queries in progress and close
+     * all of the connections to the database. The DB can't be used anymore
+     * afterwards.
+     * @return {Promise} resolves once everything has been closed
+     */
+    close() {
+        if (!this._closing) {
+            this._closed = true;
+            if (this._sweepTimer) {
+                clearTimeout(this._sweepTimer);
+                this._sweepTimer = null;
+            }
+            this._closing = P.resolve(this._sweeping)
+            .then(() => P.all(Array.from(this._clients.values())
+                .map((client) => client.close())))
+            .then(() => {
+                this.queryCache.reset();
+            });
+        }
+        return this._closing;
+    }
 }
 
 // Info table schema
@@ -409,11 +1324,16 @@ DB.prototype.infoSchema = validator.validateAndNormalizeSchema({
 DB.prototype.infoSchemaInfo = dbu.makeSchemaInfo(DB.prototype.infoSchema, true);
 DB.prototype.schemaTableName = 'global_schema';
 
-module.exports = (options) => {
+module.exports = (options) => P.try(() => {
     const db = new DB(options);
-    // Create a table to store schemas
-    return db.client.run([
+    // Open each of the databases, and create a table to store schemas in it
+    return P.each(Array.from(db._clients.values()), (client) => client.open()
+    .then(() => client.run([
         { sql: dbu.buildTableSql(db.infoSchemaInfo, db.schemaTableName) }
-    ])
-    .then(() => db);
-};
+    ])))
+    .then(() => db._loadPagingSecret())
+    .then(() => {
+        db._scheduleExpirySweep();
+        return db;
+    });
+});
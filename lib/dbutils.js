@@ -18,13 +18,20 @@ function toString() {
     };
 }
 
+const isIntegerString = (value) => typeof value === 'string' && /^-?\d+$/.test(value);
+
+// The `validate` function of a conversion checks whether a value can be
+// written to a column of that type.
 dbu.conversions = {
     json: {
         write: JSON.stringify,
         read: JSON.parse,
-        type: 'blob'
+        validate: (value) => value !== undefined,
+        // Stored as text, so that it can be queried with the JSON1 functions
+        type: 'text'
     },
     string: {
+        validate: (value) => typeof value === 'string',
         read(value) {
             if (value !== null &&
                     value !== undefined &&
@@ -56,9 +63,11 @@ dbu.conversions = {
                 return new Buffer(val);
             }
         },
+        validate: (value) => value instanceof Buffer || typeof value === 'string',
         type: 'blob'
     },
     boolean: {
+        validate: (value) => typeof value === 'boolean',
         read(value) {
             return value !== 0;
         },
@@ -69,8 +78,27 @@ dbu.conversions = {
     },
     decimal: {
         read: toString(),
+        validate: (value) => (typeof value === 'number' && isFinite(value)) ||
+            (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)),
         type: 'integer'
     },
+    int: {
+        validate: Number.isInteger
+    },
+    varint: {
+        validate: (value) => Number.isInteger(value) || isIntegerString(value)
+    },
+    float: {
+        validate: (value) => typeof value === 'number'
+    },
+    double: {
+        validate: (value) => typeof value === 'number'
+    },
+    timestamp: {
+        validate: (value) => (value instanceof Date && !isNaN(value.getTime())) ||
+            typeof value === 'number' ||
+            (typeof value === 'string' && !isNaN(Date.parse(value)))
+    },
     timeuuid: {
         // On write we shuffle uuid bits so that the timestamp bits end up
         // first in correct order. This allows to compare time uuid as string
@@ -86,6 +114,9 @@ dbu.conversions = {
                 if (!uuidV1Test(value)) {
                     throw new Error(`Illegal uuid value ${value}`);
                 }
+                // Stored in lower case, like the prefixes they are compared
+                // with, so that their order doesn't depend on the case written
+                value = value.toLowerCase();
                 value = value.substr(15, 3) +
                 value.substr(9, 4) +
                 value.substr(0, 8) +
@@ -93,25 +124,57 @@ dbu.conversions = {
             }
             return value;
         },
+        validate: (value) => typeof value === 'string' && uuidV1Test(value),
         type: 'text'
     },
     uuid: {
-        read: toString()
+        read: toString(),
+        validate: (value) => typeof value === 'string' && uuidV1Test(value)
     },
     long: {
         type: 'string',
-        write: toString()
+        write: toString(),
+        validate: (value) => Number.isInteger(value) || isIntegerString(value)
     }
 };
 
+// The order of the values of a set
+function compareSetValues(val1, val2) {
+    if (typeof val1 === 'number' ||
+    (typeof val1 === 'object' && val1.constructor === Number)) {
+        return val1 - val2;
+    } else {
+        val1 = JSON.stringify(val1);
+        val2 = JSON.stringify(val2);
+        if (val1 === val2) {
+            return 0;
+        } else if (val1 < val2) {
+            return -1;
+        } else {
+            return 1;
+        }
+    }
+}
+
 function generateSetConverter(convObj) {
     return {
+        // Sets are written sorted and de-duplicated, in the order they're
+        // read in, so that equal sets are stored the same way
         write(valArray) {
             if (!Array.isArray(valArray) || valArray.length === 0) {
                 // We treat the Empty set as being equivalent to null
                 return null;
             } else {
-                return JSON.stringify(valArray.map(convObj.write));
+                const written = [];
+                valArray.slice().sort(compareSetValues).forEach((val) => {
+                    const writtenVal = convObj.write(val);
+                    if (!written.length ||
+                            JSON.stringify(written[written.length - 1]) !==
+                            JSON.stringify(writtenVal)) {
+                        written.push(writtenVal);
+                    }
+                });
+                return JSON.stringify(written);
             }
         },
         read(valJson) {
@@ -126,26 +189,17 @@ function generateSetConverter(convObj) {
                 valSet.forEach((val) => {
                     valArray.push(val);
                 });
-                return valArray.sort((val1, val2) => {
-                    if (typeof val1 === 'number' ||
-                    (typeof val1 === 'object' && val1.constructor === Number)) {
-                        return val1 - val2;
-                    } else {
-                        val1 = JSON.stringify(val1);
-                        val2 = JSON.stringify(val2);
-                        if (val1 === val2) {
-                            return 0;
-                        } else if (val1 < val2) {
-                            return -1;
-                        } else {
-                            return 1;
-                        }
-                    }
-                });
+                return valArray.sort(compareSetValues);
             }
             return null;
         },
-        type: 'blob'
+        validate(valArray) {
+            return Array.isArray(valArray) && valArray.every(convObj.validate);
+        },
+        // Converts the values looked up in the set
+        element: convObj,
+        // Stored as text, so that it can be queried with the JSON1 functions
+        type: 'text'
     };
 }
 
@@ -164,6 +218,9 @@ function generateConverters(schema) {
         if (!objConverter.type) {
             objConverter.type = objType;
         }
+        if (!objConverter.validate) {
+            objConverter.validate = () => true;
+        }
         if (setType) {
             schema.converters[schema.attributes[key]] = generateSetConverter(objConverter);
         } else {
@@ -212,6 +269,136 @@ dbu.fieldName = (name) => {
     }
 };
 
+/**
+ * Validates a secondary index definition and creates a schema-info-like
+ * object for it, which can be used in place of the table schema info
+ * when querying the data table by the secondary index.
+ * @param  {Object}  psi           the table schema info
+ * @param  {string}  indexName     the secondary index name
+ * @param  {Array}   index         the secondary index definition
+ * @param  {boolean} ignoreDomain  whether the table is domain-agnostic
+ * @return {Object}                the secondary index schema info
+ * @throws {Error}                 if the index definition is invalid
+ */
+function makeSecondaryIndexInfo(psi, indexName, index, ignoreDomain) {
+    if (!/^[a-zA-Z0-9_]+$/.test(indexName)) {
+        throw new Error(`Invalid secondary index name ${indexName}`);
+    }
+    if (!Array.isArray(index) || !index.length) {
+        throw new Error(`Invalid secondary index ${indexName}. Must have at least one entry`);
+    }
+    const attributes = {};
+    Object.keys(psi.attributes)
+    .filter((attr) => !psi.iKeyMap[attr] || psi.iKeyMap[attr].type !== 'static')
+    .forEach((attr) => {
+        attributes[attr] = psi.attributes[attr];
+    });
+    index.forEach((elem) => {
+        if (!attributes[elem.attribute]) {
+            throw new Error(`Secondary index ${indexName} element ${JSON.stringify(elem)} ` +
+                'is not in attributes or is static!');
+        }
+        if (['hash', 'range', 'proj'].indexOf(elem.type) < 0) {
+            throw new Error(`Invalid secondary index ${indexName} element encountered! ` +
+                `${JSON.stringify(elem)}`);
+        }
+        if (elem.type === 'range' && elem.order &&
+                elem.order !== 'asc' && elem.order !== 'desc') {
+            throw new Error(`Invalid order: ${elem.order}`);
+        }
+    });
+    if (new Set(index.map((elem) => elem.attribute)).size !== index.length) {
+        throw new Error(`Invalid secondary index ${indexName}. Duplicate index entries.`);
+    }
+    if (!index.some((elem) => elem.type === 'hash')) {
+        throw new Error(`Secondary index ${indexName} must have a hash key`);
+    }
+
+    let sortedIndex = [];
+    ['hash', 'range', 'proj'].forEach((type) => {
+        sortedIndex = sortedIndex.concat(index.filter((elem) => elem.type === type)
+            .map((elem) => extend({}, elem)));
+    });
+    if (!ignoreDomain) {
+        sortedIndex.unshift({
+            type: 'hash',
+            attribute: '_domain'
+        });
+    }
+
+    const info = {
+        attributes,
+        index: sortedIndex,
+        iKeys: dbu.indexKeys(sortedIndex),
+        iKeyMap: {},
+        converters: psi.converters
+    };
+    sortedIndex.forEach((elem) => {
+        info.iKeyMap[elem.attribute] = elem;
+    });
+    // The primary key of the row is needed to page through the index
+    info.rowKeys = psi.iKeys;
+    // Project the index attributes along with the primary key of the row
+    info.proj = Array.from(new Set(sortedIndex.map((elem) => elem.attribute)
+        .concat(psi.iKeys, ['_exist_until'])));
+    return info;
+}
+
+/**
+ * Validates the revision retention policy of a schema, and fills in the
+ * defaults for the omitted options. `makeSchemaInfo` falls back to the
+ * `all` policy when it's invalid, so that tables stored with such a
+ * policy remain usable; `createTable` rejects it.
+ * @param  {Object} psi the table schema info
+ * @return {Object}     the normalized policy
+ * @throws {Error}      if the policy is invalid
+ */
+function normalizeRetentionPolicy(psi) {
+    const policy = extend({ type: 'all' }, psi.revisionRetentionPolicy);
+    if (policy.type === 'all') {
+        return policy;
+    }
+    if (policy.type !== 'latest' && policy.type !== 'interval') {
+        throw new Error(`Unsupported revision retention policy type ${policy.type}`);
+    }
+    if (!psi.tid) {
+        throw new Error(`Revision retention policy ${policy.type} ` +
+            'requires a timeuuid range key');
+    }
+    policy.count = policy.count === undefined ? 1 : policy.count;
+    policy.grace_ttl = policy.grace_ttl === undefined ? 86400 : policy.grace_ttl;
+    if (!Number.isInteger(policy.count) || policy.count < 1) {
+        throw new Error(`Invalid revision retention policy count ${policy.count}`);
+    }
+    if (typeof policy.grace_ttl !== 'number' || policy.grace_ttl < 0) {
+        throw new Error(`Invalid revision retention policy grace_ttl ${policy.grace_ttl}`);
+    }
+    if (policy.type === 'interval' &&
+            (typeof policy.interval !== 'number' || policy.interval <= 0)) {
+        throw new Error(`Invalid revision retention policy interval ${policy.interval}`);
+    }
+    return policy;
+}
+
+/**
+ * Validates the list of full-text indexed attributes of a schema.
+ * @param  {Object} psi the table schema info
+ * @return {Array}      the sorted list of attributes
+ * @throws {Error}      if an attribute can't be full-text indexed
+ */
+function normalizeFullTextIndex(psi) {
+    const attributes = Array.from(new Set([].concat(psi.fullTextIndex || []))).sort();
+    attributes.forEach((attr) => {
+        if (psi.attributes[attr] !== 'string' && psi.attributes[attr] !== 'json') {
+            throw new Error(`Full-text indexed attribute ${attr} must be a string or json`);
+        }
+        if (psi.iKeyMap[attr] && psi.iKeyMap[attr].type === 'static') {
+            throw new Error(`Full-text indexed attribute ${attr} can't be static`);
+        }
+    });
+    return attributes;
+}
+
 dbu.makeSchemaInfo = function makeSchemaInfo(schema, ignoreDomain) {
     const psi = extend(true, {}, schema);
     if (!ignoreDomain) {
@@ -234,8 +421,31 @@ dbu.makeSchemaInfo = function makeSchemaInfo(schema, ignoreDomain) {
 
     psi.proj = Object.keys(psi.attributes);
 
+    // The range key revisions are retained by
+    const tidIndex = psi.index.filter((elem) => elem.type === 'range' &&
+        psi.attributes[elem.attribute] === 'timeuuid').pop();
+    psi.tid = tidIndex && tidIndex.attribute;
+    let retentionPolicyError;
+    try {
+        psi.revisionRetentionPolicy = normalizeRetentionPolicy(psi);
+    } catch (e) {
+        retentionPolicyError = e.message;
+        psi.revisionRetentionPolicy = { type: 'all' };
+    }
+    psi.fullTextIndex = normalizeFullTextIndex(psi);
+
     psi.hash = stringify(psi);
+    if (retentionPolicyError) {
+        // Not part of the hash, which reflects the policy actually applied
+        psi.retentionPolicyError = retentionPolicyError;
+    }
     generateConverters(psi);
+
+    psi.secondaryIndexInfo = {};
+    Object.keys(psi.secondaryIndexes || {}).forEach((indexName) => {
+        psi.secondaryIndexInfo[indexName] = makeSecondaryIndexInfo(psi,
+            indexName, psi.secondaryIndexes[indexName], ignoreDomain);
+    });
     return psi;
 };
 
@@ -249,13 +459,98 @@ dbu.indexKeys = function indexKeys(index) {
     return res;
 };
 
+function hasMatchPredicate(query) {
+    const pred = query.attributes || {};
+    return Object.keys(pred).some((key) => pred[key] && pred[key].constructor === Object &&
+        Object.keys(pred[key]).some((op) => op.toLowerCase() === 'match'));
+}
+
+/**
+ * Builds the full-text query of the `match` predicates of a query, each
+ * restricted to the column of its attribute.
+ * @param  {Object} pred the predicates
+ * @return {string}      the FTS5 query, or null if there are no `match` predicates
+ */
+function fullTextQuery(pred) {
+    const terms = [];
+    Object.keys(pred).forEach((key) => {
+        const predObj = pred[key];
+        if (predObj && predObj.constructor === Object) {
+            Object.keys(predObj).filter((op) => op.toLowerCase() === 'match')
+            .forEach((op) => {
+                terms.push(`{${dbu.fieldName(key)}} : (${predObj[op]})`);
+            });
+        }
+    });
+    return terms.length ? terms.join(' AND ') : null;
+}
+
+// Joins the rows matching the full-text query, along with their rank
+function fullTextJoin(tableName) {
+    return ` inner join (select rowid as ${dbu.fieldName('_fts_rowid')}, ` +
+        `bm25([${tableName}_fts]) as ${dbu.fieldName('_fts_rank')} ` +
+        `from [${tableName}_fts] where [${tableName}_fts] match ?) ` +
+        `on ${dbu.fieldName('_fts_rowid')} = [${tableName}_data].rowid`;
+}
+
+/**
+ * Returns the keys a paged query is ordered and resumed by: the range keys
+ * in the requested order, followed by the rest of the row's primary key,
+ * so that the order is total.
+ * @param  {Object} query  the get query
+ * @param  {Object} schema the schema info the query is run against
+ * @return {Array}         array of `{ attribute, order }` objects; empty
+ *                         if the query can't be resumed by key
+ */
+dbu.pagingKeys = (query, schema) => {
+    if (query.distinct || hasMatchPredicate(query)) {
+        // Keys are not necessarily projected, or rows are ranked by
+        // relevance, so offsets are used instead
+        return [];
+    }
+    const keys = [];
+    Object.keys(schema.iKeyMap).forEach((key) => {
+        const elem = schema.iKeyMap[key];
+        if (elem.type === 'range') {
+            keys.push({
+                attribute: key,
+                order: (query.order && query.order[key]) || elem.order || 'asc'
+            });
+        }
+    });
+    schema.iKeys.concat(schema.rowKeys || []).forEach((key) => {
+        if (!keys.some((elem) => elem.attribute === key)) {
+            keys.push({
+                attribute: key,
+                order: 'asc'
+            });
+        }
+    });
+    return keys;
+};
+
+function isPaged(query) {
+    return !!(query.limit || query.after);
+}
+
 function constructOrder(query, schema) {
+    if (hasMatchPredicate(query)) {
+        // The most relevant rows first
+        return ` order by ${dbu.fieldName('_fts_rank')}, ${dbu.fieldName('_fts_rowid')} `;
+    }
+    if (isPaged(query)) {
+        const keys = dbu.pagingKeys(query, schema);
+        if (keys.length) {
+            return ` order by ${keys.map((key) =>
+                `${dbu.fieldName(key.attribute)} ${key.order}`).join(',')} `;
+        }
+    }
     const orderTerms = [];
     Object.keys(schema.iKeyMap).forEach((key) => {
         const elem = schema.iKeyMap[key];
         if (elem.type === 'range') {
             const dir = query && query.order &&
-                query.order[elem.attribute] ? query.order[elem.attribute] : elem.order;
+                query.order[elem.attribute] ? query.order[elem.attribute] : elem.order || 'asc';
             orderTerms.push(`${dbu.fieldName(elem.attribute)} ${dir}`);
         }
     });
@@ -266,13 +561,26 @@ function constructOrder(query, schema) {
     }
 }
 
+function projField(key) {
+    if (dbu.parseJsonPath(key)) {
+        // Quoted, so that strings can be told apart from objects and arrays
+        return `json_quote(${dbu.fieldExpression(key)}) as ${dbu.fieldName(key)}`;
+    }
+    return dbu.fieldName(key);
+}
+
 function constructProj(query, schema) {
-    const projArr = query.proj || schema.proj;
+    let projArr = query.proj || schema.proj;
     let proj;
+    if (query.proj && isPaged(query)) {
+        // The keys of the last row are needed to resume the query
+        projArr = Array.from(new Set([].concat(projArr,
+            dbu.pagingKeys(query, schema).map((key) => key.attribute))));
+    }
     if (Array.isArray(projArr)) {
-        proj = projArr.map(dbu.fieldName).join(',');
+        proj = projArr.map(projField).join(',');
     } else if (projArr.constructor === String) {
-        proj = dbu.fieldName(projArr);
+        proj = projField(projArr);
     }
     if (query.distinct) {
         proj = ` distinct ${proj} `;
@@ -281,12 +589,20 @@ function constructProj(query, schema) {
 }
 
 function isStaticJoinNeeded(query, schema) {
+    const isStatic = (key) => {
+        const ref = dbu.parseJsonPath(key);
+        const attr = ref ? ref.attribute : key;
+        return schema.iKeyMap[attr] && schema.iKeyMap[attr].type === 'static';
+    };
+    if (query && query.attributes && Object.keys(query.attributes).some(isStatic)) {
+        // Filtering on static attributes
+        return true;
+    }
     if (query && query.proj) {
         if (Array.isArray(query.proj)) {
-            return query.proj.some((key) => schema.iKeyMap[key] &&
-                schema.iKeyMap[key].type === 'static');
+            return query.proj.some(isStatic);
         } else if (query.proj.constructor === String) {
-            return schema.iKeyMap[query.proj] && schema.iKeyMap[query.proj].type === 'static';
+            return isStatic(query.proj);
         } else {
             throw new Error('Unsupported query proj: ' +
                 `${query.proj} of type ${query.proj.constructor}`);
@@ -304,36 +620,195 @@ function constructLimit(query) {
         sql += ` limit ${query.limit}`;
     }
 
-    if (query.next) {
+    if (dbu.isOffsetNext(query.next)) {
         sql += ` offset ${query.next}`;
     }
     return sql;
 }
 
+/**
+ * Builds the predicate selecting the rows following the given row in the
+ * paging keys order. Keys without a value, like a missing tid, are sorted
+ * by SQLite before any other value: first in ascending order, and last in
+ * descending order. Each key is compared with `IS` for equality, and with
+ * its value twice for ordering, see dbu.extractGetParams.
+ * @param  {Array}  keys the paging keys, as returned by dbu.pagingKeys
+ * @return {string}      the SQL predicate
+ */
+function buildAfterCondition(keys) {
+    return keys.map((key, idx) => {
+        const terms = keys.slice(0, idx).map((prev) => `${dbu.fieldName(prev.attribute)} IS ?`);
+        const field = dbu.fieldName(key.attribute);
+        if (key.order === 'desc') {
+            terms.push(`(${field} < ? OR (${field} IS NULL AND ? IS NOT NULL))`);
+        } else {
+            terms.push(`(${field} > ? OR (? IS NULL AND ${field} IS NOT NULL))`);
+        }
+        return `(${terms.join(' AND ')})`;
+    }).join(' OR ');
+}
+
+/**
+ * Parses a reference to a path within a `json` attribute, written as the
+ * attribute name followed by a JSON1 path, like `meta.$.content_type`.
+ * @param  {string} key the predicate or projection key
+ * @return {Object}     `{ attribute, path }`, or null if the key is no path
+ */
+dbu.parseJsonPath = (key) => {
+    const idx = key.indexOf('.$');
+    if (idx <= 0) {
+        return null;
+    }
+    return {
+        attribute: key.slice(0, idx),
+        path: key.slice(idx + 1)
+    };
+};
+
+/**
+ * Checks the syntax of a JSON path: object members and array elements.
+ * @param  {string}  path the path, like `$.a.b[0]`
+ * @return {boolean}      whether the path is valid
+ */
+dbu.isValidJsonPath = (path) => /^\$(\.[A-Za-z_]\w*|\[\d+\])*$/.test(path);
+
+/**
+ * The SQL expression of an attribute, or of a path within a `json` attribute.
+ * @param  {string} key the attribute name or the JSON path reference
+ * @return {string}     the SQL expression
+ */
+dbu.fieldExpression = (key) => {
+    const ref = dbu.parseJsonPath(key);
+    if (!ref) {
+        return dbu.fieldName(key);
+    }
+    return `json_extract(${dbu.fieldName(ref.attribute)}, '${ref.path.replace(/'/g, "''")}')`;
+};
+
+// JSON1 represents booleans as integers
+const jsonPathConverter = {
+    write: (value) => (typeof value === 'boolean' ? Number(value) : value)
+};
+
+/**
+ * The converter writing the values compared to an attribute or a JSON path.
+ * @param  {Object} schema the table schema info
+ * @param  {string} key    the attribute name or the JSON path reference
+ * @return {Object}        the converter
+ */
+function conditionConverter(schema, key) {
+    if (dbu.parseJsonPath(key)) {
+        return jsonPathConverter;
+    }
+    return schema.converters[schema.attributes[key]];
+}
+
+/**
+ * The maximum number of values in an `in` predicate
+ */
+dbu.MAX_IN_LIST_SIZE = 256;
+
+/**
+ * The number of parameters of the statement of an `in` predicate with the
+ * given number of values.
+ * @param  {number} length the number of values
+ * @return {number}        the next power of two
+ */
+dbu.inListSize = (length) => {
+    let size = 1;
+    while (size < length) {
+        size *= 2;
+    }
+    return size;
+};
+
+/**
+ * The smallest string greater than all of the strings starting with a prefix,
+ * or an empty blob, which SQLite sorts after any string, if there's none.
+ * @param  {string} prefix the prefix
+ * @return {string|Buffer} the exclusive upper bound
+ */
+function prefixUpperBound(prefix) {
+    const codePoints = Array.from(prefix).map((c) => c.codePointAt(0));
+    while (codePoints.length && codePoints[codePoints.length - 1] === 0x10FFFF) {
+        codePoints.pop();
+    }
+    if (!codePoints.length) {
+        return Buffer.alloc(0);
+    }
+    let last = codePoints.pop() + 1;
+    if (last === 0xD800) {
+        // Skip the surrogates, which aren't valid code points on their own
+        last = 0xE000;
+    }
+    return String.fromCodePoint.apply(String, codePoints.concat([last]));
+}
+
+/**
+ * Build the parameters of a `prefix` or `like` predicate. Both are compiled to
+ * a range scan over the literal prefix of the pattern, which can use the
+ * index, and a `LIKE` matching the whole pattern. `like` patterns use `%` and
+ * `_` as wildcards, and `\` to escape them; the wildcards of a prefix are
+ * escaped.
+ * @param  {string} op    the operator, `prefix` or `like`
+ * @param  {string} value the prefix or the pattern
+ * @return {Array}        the lower bound, upper bound and `LIKE` pattern
+ */
+dbu.patternParams = (op, value) => {
+    let literal;
+    let pattern;
+    if (op === 'prefix') {
+        literal = value;
+        pattern = `${value.replace(/[\\%_]/g, '\\$&')}%`;
+    } else {
+        literal = /^(?:[^\\%_]|\\.)*/.exec(value)[0].replace(/\\(.)/g, '$1');
+        pattern = value;
+    }
+    return [literal, prefixUpperBound(literal), pattern];
+};
+
 function buildCondition(pred, schema, includePreparedForDelete, extractParams) {
     const params = [];
     const conjunctions = [];
     Object.keys(pred).forEach((predKey) => {
         const predObj = pred[predKey];
+        const field = dbu.fieldExpression(predKey);
         if (predObj === null || predObj.constructor !== Object) {
             // Default to equality
-            conjunctions.push(`${dbu.fieldName(predKey)} = ?`);
+            conjunctions.push(`${field} = ?`);
             if (extractParams) {
-                params.push(schema.converters[schema.attributes[predKey]].write(predObj));
+                params.push(conditionConverter(schema, predKey).write(predObj));
             }
         } else {
             Object.keys(predObj).forEach((predOp) => {
                 const predArg = predObj[predOp];
-                let sql = dbu.fieldName(predKey);
+                const converter = conditionConverter(schema, predKey);
+                let sql = field;
+
+                if (predOp.toLowerCase() === 'match') {
+                    // Joined with the full-text index instead, see buildGetQuery
+                    if (extractParams) {
+                        throw new Error('The match operator is only supported in get queries');
+                    }
+                    return;
+                }
 
                 if (extractParams) {
                     if (predOp === 'between') {
-                        params.push(schema.converters[schema.attributes[predKey]]
-                        .write(predArg[0]));
-                        params.push(schema.converters[schema.attributes[predKey]]
-                        .write(predArg[1]));
+                        params.push(converter.write(predArg[0]));
+                        params.push(converter.write(predArg[1]));
+                    } else if (predOp.toLowerCase() === 'in') {
+                        predArg.forEach((val) => {
+                            params.push(converter.write(val));
+                        });
+                    } else if (predOp.toLowerCase() === 'prefix' ||
+                            predOp.toLowerCase() === 'like') {
+                        params.push.apply(params,
+                            dbu.patternParams(predOp.toLowerCase(), predArg));
+                    } else if (predOp.toLowerCase() === 'contains') {
+                        params.push((converter.element || converter).write(predArg));
                     } else {
-                        params.push(schema.converters[schema.attributes[predKey]].write(predArg));
+                        params.push(converter.write(predArg));
                     }
                 }
                 /* eslint-disable indent */
@@ -355,7 +830,17 @@ function buildCondition(pred, schema, includePreparedForDelete, extractParams) {
                         break;
                     case 'between':
                         sql += ' >= ? AND ';
-                        sql += `${dbu.fieldName(predKey)} <= ?`;
+                        sql += `${field} <= ?`;
+                        break;
+                    case 'in':
+                        sql += ` IN (${predArg.map(() => '?').join(', ')})`;
+                        break;
+                    case 'contains':
+                        sql = `exists (select 1 from json_each(${field}) where value = ?)`;
+                        break;
+                    case 'prefix':
+                    case 'like':
+                        sql += ` >= ? AND ${field} < ? AND ${field} LIKE ? ESCAPE '\\'`;
                         break;
                     default:
                         throw new Error(`Operator ${predOp} not supported!`);
@@ -381,15 +866,112 @@ function buildCondition(pred, schema, includePreparedForDelete, extractParams) {
     };
 }
 
+/**
+ * Validates the `aggregate` option of a get query, and normalizes it to
+ * `{ count, min, max, groupBy }`, with `min` and `max` listing attributes and
+ * `groupBy` the hash keys the rows are grouped by, if `groupByHash` is set.
+ * @param  {Object} aggregate the aggregate option
+ * @param  {Object} schema    the table schema info
+ * @return {Object}           the normalized option
+ * @throws {Error}            if the option is invalid
+ */
+dbu.normalizeAggregate = (aggregate, schema) => {
+    if (aggregate.constructor !== Object) {
+        throw new Error('Invalid query. The aggregate option must be an object');
+    }
+    const normalized = {
+        count: !!aggregate.count,
+        min: [].concat(aggregate.min || []),
+        max: [].concat(aggregate.max || []),
+        groupBy: aggregate.groupByHash ? schema.iKeys.filter((key) =>
+            schema.iKeyMap[key].type === 'hash' && key !== '_domain') : []
+    };
+    normalized.min.concat(normalized.max).forEach((attr) => {
+        const type = schema.attributes[attr];
+        if (!type || attr === '_domain' || attr === '_exist_until') {
+            throw new Error(`Invalid query. Unknown aggregate attribute ${attr}`);
+        }
+        if (type === 'json' || /^set<\w+>$/.test(type)) {
+            throw new Error(`Invalid query. Can't aggregate attribute ${attr} of type ${type}`);
+        }
+    });
+    if (!normalized.count && !normalized.min.length && !normalized.max.length) {
+        throw new Error('Invalid query. The aggregate option requires count, min or max');
+    }
+    return normalized;
+};
+
+/**
+ * Converts a row returned by an aggregate query.
+ * @param  {Object} row       the row
+ * @param  {Object} aggregate the normalized aggregate option
+ * @param  {Object} schema    the table schema info
+ * @return {Object}           the aggregate, with the `key` of its group
+ */
+dbu.convertAggregateRow = (row, aggregate, schema) => {
+    const read = (attr, value) => (value === null ? null :
+        schema.converters[schema.attributes[attr]].read(value));
+    const result = {};
+    if (aggregate.groupBy.length) {
+        result.key = {};
+        aggregate.groupBy.forEach((attr) => {
+            result.key[attr] = read(attr, row[attr]);
+        });
+    }
+    if (aggregate.count) {
+        result.count = row.count;
+    }
+    ['min', 'max'].forEach((fn) => {
+        if (aggregate[fn].length) {
+            result[fn] = {};
+            aggregate[fn].forEach((attr) => {
+                result[fn][attr] = read(attr, row[`${fn}:${attr}`]);
+            });
+        }
+    });
+    return result;
+};
+
+function buildAggregateQuery(tableName, query, schema, condition) {
+    const aggregate = query.aggregate;
+    const proj = aggregate.groupBy.map(dbu.fieldName);
+    if (aggregate.count) {
+        proj.push(`count(*) as ${dbu.fieldName('count')}`);
+    }
+    ['min', 'max'].forEach((fn) => {
+        aggregate[fn].forEach((attr) => {
+            proj.push(`${fn}(${dbu.fieldName(attr)}) as ${dbu.fieldName(`${fn}:${attr}`)}`);
+        });
+    });
+    let sql = `select ${proj.join(',')} from [${tableName}_data]`;
+    const staticJoinNeeded = aggregate.min.concat(aggregate.max).some((attr) =>
+        schema.iKeyMap[attr] && schema.iKeyMap[attr].type === 'static');
+    if (staticJoinNeeded) {
+        sql += ` natural left outer join [${tableName}_static]`;
+    }
+    if (hasMatchPredicate(query)) {
+        sql += fullTextJoin(tableName);
+    }
+    sql += condition;
+    if (aggregate.groupBy.length) {
+        const groupBy = aggregate.groupBy.map(dbu.fieldName).join(',');
+        sql += ` group by ${groupBy} order by ${groupBy}`;
+    }
+    return sql + constructLimit(query);
+}
+
 dbu.buildGetQuery = (tableName, query, schema, includePreparedForDelete) => {
     const limit = constructLimit(query);
-    let condition = '';
     let sql;
 
-    if (query.attributes) {
-        const condResult = buildCondition(query.attributes,
-            schema, includePreparedForDelete, false);
-        condition = ` where ${condResult.query} `;
+    const condResult = buildCondition(query.attributes || {},
+        schema, includePreparedForDelete, false);
+    let condition = ` where ${condResult.query} `;
+    if (query.after) {
+        condition += `AND (${buildAfterCondition(dbu.pagingKeys(query, schema))}) `;
+    }
+    if (query.aggregate) {
+        return buildAggregateQuery(tableName, query, schema, condition);
     }
 
     const proj = constructProj(query, schema);
@@ -399,6 +981,9 @@ dbu.buildGetQuery = (tableName, query, schema, includePreparedForDelete) => {
     } else {
         sql = `select ${proj} from [${tableName}_data]`;
     }
+    if (hasMatchPredicate(query)) {
+        sql += fullTextJoin(tableName);
+    }
     sql += condition + constructOrder(query, schema) + limit;
     return sql;
 };
@@ -414,28 +999,52 @@ dbu.buildDeleteQuery = (query, tableName, schema) => {
 function extractConditionParams(query, schema) {
     const params = [];
     const pred = query.attributes;
+    const match = fullTextQuery(pred);
     Object.keys(pred).forEach((predKey) => {
         const predObj = pred[predKey];
+        const converter = conditionConverter(schema, predKey);
         if (!predObj || predObj.constructor !== Object) {
-            params.push(schema.converters[schema.attributes[predKey]].write(predObj));
+            params.push(converter.write(predObj));
             pred[predKey] = null;
         } else {
             const predKeys = Object.keys(predObj);
             if (predKeys[0].toLowerCase() === 'between') {
                 const predArg = predObj[predKeys[0]];
-                params.push(schema.converters[schema.attributes[predKey]].write(predArg[0]));
-                params.push(schema.converters[schema.attributes[predKey]].write(predArg[1]));
+                params.push(converter.write(predArg[0]));
+                params.push(converter.write(predArg[1]));
                 predArg[0] = null;
                 predArg[1] = null;
+            } else if (predKeys[0].toLowerCase() === 'in') {
+                // Pad the list with its last value up to the next power of
+                // two, so that lists of similar lengths share a statement
+                const predArg = predObj[predKeys[0]];
+                const size = dbu.inListSize(predArg.length);
+                for (let i = 0; i < size; i++) {
+                    params.push(converter.write(predArg[Math.min(i, predArg.length - 1)]));
+                }
+                predObj[predKeys[0]] = new Array(size).fill(null);
+            } else if (predKeys[0].toLowerCase() === 'prefix' ||
+                    predKeys[0].toLowerCase() === 'like') {
+                params.push.apply(params, dbu.patternParams(predKeys[0].toLowerCase(),
+                    predObj[predKeys[0]]));
+                predObj[predKeys[0]] = null;
+            } else if (predKeys[0].toLowerCase() === 'contains') {
+                params.push((converter.element || converter).write(predObj[predKeys[0]]));
+                predObj[predKeys[0]] = null;
+            } else if (predKeys[0].toLowerCase() === 'match') {
+                // Bound first, as the full-text index is joined before the condition
+                predObj[predKeys[0]] = null;
             } else {
                 predKeys.forEach((predOp) => {
-                    params.push(schema.converters[schema.attributes[predKey]]
-                        .write(predObj[predOp]));
+                    params.push(converter.write(predObj[predOp]));
                     predObj[predOp] = null;
                 });
             }
         }
     });
+    if (match) {
+        params.unshift(match);
+    }
     return params;
 }
 
@@ -453,9 +1062,89 @@ dbu.extractGetParams = (query, schema, includePreparedForDelete) => {
     } else {
         query.includePreparedForDelete = false;
     }
+
+    if (query.after) {
+        if (!Array.isArray(query.after) ||
+                query.after.length !== dbu.pagingKeys(query, schema).length) {
+            throw new HTTPError({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    title: 'The paging token does not match the query'
+                }
+            });
+        }
+        query.after.forEach((val, idx) => {
+            params.push.apply(params, query.after.slice(0, idx).concat([val, val]));
+        });
+        query.after = true;
+    }
     return params;
 };
 
+/**
+ * Checks whether a `next` value is a legacy row offset rather than a
+ * paging token.
+ * @param  {*}       next the `next` value of a get request
+ * @return {boolean}      true for row offsets
+ */
+dbu.isOffsetNext = (next) => typeof next === 'number' ||
+    (typeof next === 'string' && /^\d+$/.test(next));
+
+function signPagingPayload(payload, tableName, secret) {
+    return crypto.createHmac('sha256', secret)
+    .update(`${tableName}:${payload}`)
+    .digest()
+    .slice(0, 16)
+    .toString('hex');
+}
+
+/**
+ * Creates an opaque paging token encoding the paging key values of the last
+ * row returned, in their stored form.
+ * @param  {Array}  values    the stored key values
+ * @param  {string} tableName the table name the token is valid for
+ * @param  {string} secret    the secret to sign the token with
+ * @return {string}           the paging token
+ */
+dbu.encodePagingToken = (values, tableName, secret) => {
+    const payload = Buffer.from(JSON.stringify(values.map((val) => {
+        if (val instanceof Buffer) {
+            return { blob: val.toString('base64') };
+        }
+        return val;
+    }))).toString('base64');
+    return `${payload}.${signPagingPayload(payload, tableName, secret)}`;
+};
+
+/**
+ * Verifies and decodes a paging token created by dbu.encodePagingToken.
+ * @param  {string} token     the paging token
+ * @param  {string} tableName the table name the token is used for
+ * @param  {string} secret    the secret the token was signed with
+ * @return {Array}            the stored key values of the last row seen
+ * @throws {HTTPError}        if the token is not valid for the table
+ */
+dbu.decodePagingToken = (token, tableName, secret) => {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 2 || parts[1] !== signPagingPayload(parts[0], tableName, secret)) {
+        throw new HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title: 'Invalid paging token'
+            }
+        });
+    }
+    return JSON.parse(Buffer.from(parts[0], 'base64').toString())
+    .map((val) => {
+        if (val && val.constructor === Object) {
+            return Buffer.from(val.blob, 'base64');
+        }
+        return val;
+    });
+};
+
 function buildUpdateQuery(req, tableName, schema, dataKVMap, primaryKeyKVMap, ignore) {
     let dataParams = [];
     const condition = buildCondition(Object.assign(primaryKeyKVMap, req.if), schema, true, true);
@@ -493,6 +1182,109 @@ function buildInsertQuery(tableName, dataKVMap) {
     };
 }
 
+// The operators supported in the conditions of put requests
+const conditionOperators = ['eq', 'lt', 'gt', 'le', 'ge', 'between', 'in', 'prefix', 'like',
+    'contains'];
+
+/**
+ * Check the condition of a put request against the table schema.
+ * @param  {Object} cond   the `if` predicates of the put request
+ * @param  {Object} schema the table schema info
+ * @return {Array}         the list of problems found
+ */
+function validatePutCondition(cond, schema) {
+    const problems = [];
+    Object.keys(cond).forEach((key) => {
+        const predObj = cond[key];
+        if (!schema.attributes[key]) {
+            problems.push({
+                attribute: key,
+                problem: 'unknown_attribute',
+                message: `Unknown attribute ${key} in the put condition`
+            });
+            return;
+        }
+        if (predObj === undefined || predObj === null || predObj.constructor !== Object) {
+            return;
+        }
+        const predOps = Object.keys(predObj);
+        const op = predOps.length === 1 && predOps[0].toLowerCase();
+        const arg = predObj[predOps[0]];
+        if (conditionOperators.indexOf(op) < 0) {
+            problems.push({
+                attribute: key,
+                problem: 'invalid_operator',
+                message: `Illegal predicate operator for ${key} in the put condition`
+            });
+        } else if ((op === 'between' && (!Array.isArray(arg) || arg.length !== 2)) ||
+                (op === 'in' && (!Array.isArray(arg) || !arg.length))) {
+            problems.push({
+                attribute: key,
+                problem: 'invalid_value',
+                message: `Invalid value for the ${op} predicate on ${key} in the put condition`
+            });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Check the attributes of a put request against the table schema.
+ * @param  {Object} req    the put request
+ * @param  {Object} schema the table schema info
+ * @return {Array}         the list of problems found, empty if the request is valid
+ */
+dbu.validatePutRequest = (req, schema) => {
+    const problems = [];
+    const attributes = req.attributes || {};
+    Object.keys(attributes).forEach((key) => {
+        const value = attributes[key];
+        if (key === '_ttl') {
+            // _ttl sets the row TTL, and is not part of the schema
+            if (value !== undefined && value !== null &&
+                    (typeof value !== 'number' || value < 0)) {
+                problems.push({
+                    attribute: key,
+                    problem: 'invalid_value',
+                    message: 'The row TTL must be a non-negative number of seconds'
+                });
+            }
+            return;
+        }
+        const type = schema.attributes[key];
+        if (!type) {
+            problems.push({
+                attribute: key,
+                problem: 'unknown_attribute',
+                message: `Unknown attribute ${key}`
+            });
+        } else if (value !== undefined && value !== null &&
+                !schema.converters[type].validate(value)) {
+            problems.push({
+                attribute: key,
+                problem: 'invalid_type',
+                message: `Invalid value for attribute ${key} of type ${type}`,
+                type
+            });
+        }
+    });
+    schema.iKeys.forEach((key) => {
+        // Like the table storage spec, the tid key may be left out
+        if ((attributes[key] === undefined || attributes[key] === null) && key !== schema.tid) {
+            problems.push({
+                attribute: key,
+                problem: 'missing_key',
+                message: `Missing ${schema.iKeyMap[key].type} key attribute ${key}`
+            });
+        }
+    });
+    // String conditions such as 'not exists' are handled by buildPutQuery
+    if (req.if instanceof Object) {
+        return problems.concat(validatePutCondition(req.if, schema));
+    }
+    return problems;
+};
+
 dbu.buildPutQuery = (req, tableName, schema, ignoreStatic) => {
     const dataKVMap = {};
     const staticKVMap = {};
@@ -565,15 +1357,85 @@ dbu.buildPutQuery = (req, tableName, schema, ignoreStatic) => {
     return queries;
 };
 
+// Offset between the UUID epoch (1582-10-15) and the Unix epoch, in ms
+const UUID_EPOCH_OFFSET = 12219292800000;
+const TWO_POW_32 = 0x100000000;
+
+/**
+ * Returns the timestamp (in ms) encoded in a v1 uuid.
+ * @param  {string} uuid the time uuid
+ * @return {number}      milliseconds since the Unix epoch
+ */
+function tidTimestamp(uuid) {
+    const high = parseInt(uuid.substr(15, 3) + uuid.substr(9, 4), 16);
+    const low = parseInt(uuid.substr(0, 8), 16);
+    return Math.floor((high * TWO_POW_32 + low) / 10000) - UUID_EPOCH_OFFSET;
+}
+
+/**
+ * Returns the lowest stored (shuffled) timeuuid prefix for a timestamp, so that
+ * stored timeuuids can be compared with it as strings.
+ * @param  {number} ts milliseconds since the Unix epoch
+ * @return {string}    the hex-encoded timestamp part of the timeuuid
+ */
+function tidPrefix(ts) {
+    // 100ns ticks don't fit in a double precisely, so multiply in two halves
+    const ms = ts + UUID_EPOCH_OFFSET;
+    const msHigh = Math.floor(ms / TWO_POW_32);
+    let low = (ms - msHigh * TWO_POW_32) * 10000;
+    const carry = Math.floor(low / TWO_POW_32);
+    low -= carry * TWO_POW_32;
+    const high = msHigh * 10000 + carry;
+    return `0000000${high.toString(16)}`.slice(-7) + `00000000${low.toString(16)}`.slice(-8);
+}
+
+/**
+ * Builds the query enforcing the table's revision retention policy after
+ * the row has been written: the revisions of the same entity (within the
+ * same interval for the `interval` policy) other than the newest `count`
+ * ones, the written one included, are expired after `grace_ttl` seconds,
+ * or deleted right away if the grace period is zero.
+ * @param  {Object} schema the table schema info
+ * @param  {string} table  the table name
+ * @param  {Object} row    the attributes of the written row, not yet converted
+ * @return {Object|undefined} the query, or undefined if nothing is to be retired
+ */
 dbu.buildDeleteOlderQuery = (schema, table, row) => {
+    const policy = schema.revisionRetentionPolicy;
+    if (!schema.tid || policy.type === 'all' || !row[schema.tid]) {
+        return;
+    }
+    const tid = dbu.fieldName(schema.tid);
     const predicates = {};
-    schema.iKeys.forEach((att) => {
+    schema.iKeys.filter((att) => att !== schema.tid).forEach((att) => {
         predicates[att] = row[att];
     });
-    const condition = buildCondition(predicates, schema, true, true);
+    const condition = buildCondition(predicates, schema, false, true);
+    let where = condition.query;
+    let params = condition.params;
+    if (policy.type === 'interval') {
+        const intervalMs = policy.interval * 1000;
+        const start = Math.floor(tidTimestamp(row[schema.tid]) / intervalMs) * intervalMs;
+        where += ` AND ${tid} >= ? AND ${tid} < ?`;
+        params = params.concat([tidPrefix(start), tidPrefix(start + intervalMs)]);
+    }
+    const tail = ` AND ${tid} not in ` +
+        `(select ${tid} from [${table}_data] where ${where} ` +
+        `order by ${tid} desc limit ${policy.count})`;
+    params = params.concat(params);
+    if (policy.grace_ttl) {
+        // Revisions already expiring sooner are left alone
+        const existUntil = dbu.fieldName('_exist_until');
+        const expiry = new Date().getTime() + policy.grace_ttl * 1000;
+        return {
+            sql: `UPDATE [${table}_data] SET ${existUntil} = ? ` +
+                `WHERE ${where}${tail} AND (${existUntil} IS NULL OR ${existUntil} > ?)`,
+            params: [expiry].concat(params, [expiry])
+        };
+    }
     return {
-        sql: `DELETE FROM [${table}_data] WHERE ${condition.query}`,
-        params: condition.params
+        sql: `DELETE FROM [${table}_data] WHERE ${where}${tail}`,
+        params
     };
 };
 
@@ -612,11 +1474,189 @@ dbu.buildTableSql = (schema, tableName) => {
     return sql;
 };
 
+function dataColumns(schema) {
+    return Object.keys(schema.attributes)
+    .filter((attr) => !schema.iKeyMap[attr] || schema.iKeyMap[attr].type !== 'static');
+}
+
+function staticColumns(schema) {
+    return getAllKeysOfTypes(schema, ['hash']).concat(getAllKeysOfTypes(schema, ['static']));
+}
+
+/**
+ * Builds the queries rebuilding the data and static tables of a table to
+ * match the proposed schema, following the SQLite create-copy-rename
+ * procedure. The queries are meant to be run in a single transaction.
+ * Columns present in both schemas are copied over, moving between the data
+ * and static tables if needed; the rest is dropped or left null. Moving a
+ * column to the static table fails on a unique constraint if the rows of
+ * a partition hold different values.
+ * @param  {Object} current   the current schema info
+ * @param  {Object} proposed  the proposed schema info
+ * @param  {string} tableName the table to rebuild
+ * @return {Array}            the rebuild queries
+ */
+dbu.buildRebuildTableQueries = (current, proposed, tableName) => {
+    const tmpTableName = `${tableName}__rebuild`;
+    const currentStatic = dbu.staticTableExist(current);
+    const currentData = dataColumns(current);
+    const currentStaticCols = currentStatic ? staticColumns(current) : [];
+    const hashKeys = getAllKeysOfTypes(proposed, ['hash']);
+    const fields = (cols) => cols.map(dbu.fieldName).join(', ');
+    const queries = [{ sql: dbu.buildTableSql(proposed, tmpTableName) }];
+
+    // Data rows, joined with their partition's static columns if any move
+    const dataCols = dataColumns(proposed).filter((col) => currentData.indexOf(col) >= 0 ||
+        currentStaticCols.indexOf(col) >= 0);
+    let dataSource = `[${tableName}_data]`;
+    if (dataCols.some((col) => currentData.indexOf(col) < 0)) {
+        dataSource += ` natural left outer join [${tableName}_static]`;
+    }
+    queries.push({
+        sql: `insert into [${tmpTableName}_data] (${fields(dataCols)}) ` +
+            `select ${fields(dataCols)} from ${dataSource}`
+    });
+
+    if (dbu.staticTableExist(proposed)) {
+        const tmpStatic = `[${tmpTableName}_static]`;
+        const staticCols = staticColumns(proposed).filter((col) => hashKeys.indexOf(col) < 0);
+        const movedCols = staticCols.filter((col) => currentData.indexOf(col) >= 0);
+        const keptCols = staticCols.filter((col) => currentStaticCols.indexOf(col) >= 0);
+        queries.push({ sql: dbu.buildStaticsTableSql(proposed, tmpTableName) });
+        if (movedCols.length) {
+            queries.push({
+                sql: `insert into ${tmpStatic} (${fields(hashKeys.concat(movedCols))}) ` +
+                    `select distinct ${fields(hashKeys.concat(movedCols))} ` +
+                    `from [${tableName}_data] where ` +
+                    `${movedCols.map((col) => `${dbu.fieldName(col)} is not null`).join(' or ')}`
+            });
+            if (currentStatic) {
+                queries.push({
+                    sql: `insert or ignore into ${tmpStatic} (${fields(hashKeys)}) ` +
+                        `select ${fields(hashKeys)} from [${tableName}_static]`
+                });
+                const match = hashKeys.map((key) => `[${tableName}_static].${dbu.fieldName(key)} ` +
+                    `= ${tmpStatic}.${dbu.fieldName(key)}`).join(' and ');
+                keptCols.forEach((col) => {
+                    queries.push({
+                        sql: `update ${tmpStatic} set ${dbu.fieldName(col)} = ` +
+                            `(select ${dbu.fieldName(col)} from [${tableName}_static] ` +
+                            `where ${match})`
+                    });
+                });
+            }
+        } else if (currentStatic) {
+            queries.push({
+                sql: `insert into ${tmpStatic} (${fields(hashKeys.concat(keptCols))}) ` +
+                    `select ${fields(hashKeys.concat(keptCols))} from [${tableName}_static]`
+            });
+        }
+    }
+
+    queries.push({ sql: `drop table [${tableName}_data]` });
+    if (currentStatic) {
+        queries.push({ sql: `drop table [${tableName}_static]` });
+    }
+    // Renaming the data table also updates the static table foreign key
+    queries.push({ sql: `alter table [${tmpTableName}_data] rename to [${tableName}_data]` });
+    if (dbu.staticTableExist(proposed)) {
+        queries.push({
+            sql: `alter table [${tmpTableName}_static] rename to [${tableName}_static]`
+        });
+    }
+
+    // Indexes are dropped along with the old table
+    return queries.concat(dbu.buildSecondaryIndexesSql(proposed, tableName));
+};
+
 dbu.indexOverSecIndexName = (tableName, indexName) => `[${tableName}_index_${indexName}]`;
 
-dbu.buildDeleteExpiredQuery = (schema, tableName) => ({
-    sql: `delete from [${tableName}_data] where ${dbu.fieldName('_exist_until')} < ?`,
-    params: [new Date().getTime()]
-});
+dbu.buildSecondaryIndexSql = (schema, tableName, indexName) => {
+    const indexInfo = schema.secondaryIndexInfo[indexName];
+    const columns = indexInfo.index
+    .filter((elem) => elem.type === 'hash' || elem.type === 'range')
+    .map((elem) => {
+        if (elem.type === 'range' && elem.order) {
+            return `${dbu.fieldName(elem.attribute)} ${elem.order}`;
+        }
+        return dbu.fieldName(elem.attribute);
+    });
+    return `create index if not exists ${dbu.indexOverSecIndexName(tableName, indexName)} ` +
+        `on [${tableName}_data] (${columns.join(', ')})`;
+};
+
+dbu.buildSecondaryIndexesSql = (schema, tableName) =>
+    Object.keys(schema.secondaryIndexInfo)
+    .map((indexName) => ({ sql: dbu.buildSecondaryIndexSql(schema, tableName, indexName) }));
+
+dbu.buildDropSecondaryIndexSql = (tableName, indexName) =>
+    `drop index if exists ${dbu.indexOverSecIndexName(tableName, indexName)}`;
+
+/**
+ * Builds the queries creating the full-text index of a table: an FTS5 table
+ * indexing the data table, and the triggers keeping it in sync.
+ * @param  {Object} schema    the table schema info
+ * @param  {string} tableName the table
+ * @return {Array}            the queries, empty if no attribute is indexed
+ */
+dbu.buildFullTextIndexSql = (schema, tableName) => {
+    const cols = schema.fullTextIndex || [];
+    if (!cols.length) {
+        return [];
+    }
+    const fts = `[${tableName}_fts]`;
+    const fields = cols.map(dbu.fieldName).join(', ');
+    const values = (row) => cols.map((col) => `${row}.${dbu.fieldName(col)}`).join(', ');
+    const insertNew = `insert into ${fts} (rowid, ${fields}) values (new.rowid, ${values('new')});`;
+    const deleteOld = `insert into ${fts} (${fts}, rowid, ${fields}) ` +
+        `values ('delete', old.rowid, ${values('old')});`;
+    return [
+        {
+            sql: `create virtual table if not exists ${fts} using fts5(${fields}, ` +
+                `content='${tableName}_data', content_rowid='rowid')`
+        },
+        {
+            sql: `create trigger if not exists [${tableName}_fts_insert] ` +
+                `after insert on [${tableName}_data] begin ${insertNew} end`
+        },
+        {
+            sql: `create trigger if not exists [${tableName}_fts_delete] ` +
+                `after delete on [${tableName}_data] begin ${deleteOld} end`
+        },
+        {
+            sql: `create trigger if not exists [${tableName}_fts_update] ` +
+                `after update of ${fields} on [${tableName}_data] ` +
+                `begin ${deleteOld} ${insertNew} end`
+        },
+        // Index the rows already in the table
+        { sql: `insert into ${fts} (${fts}) values ('rebuild')` }
+    ];
+};
+
+/**
+ * Builds the queries dropping the full-text index of a table.
+ * @param  {string} tableName the table
+ * @return {Array}            the queries
+ */
+dbu.buildDropFullTextIndexSql = (tableName) => ['insert', 'delete', 'update']
+.map((event) => ({ sql: `drop trigger if exists [${tableName}_fts_${event}]` }))
+.concat([{ sql: `drop table if exists [${tableName}_fts]` }]);
+
+dbu.buildDeleteExpiredQuery = (schema, tableName, limit) => {
+    const condition = `${dbu.fieldName('_exist_until')} < ?`;
+    let sql = `delete from [${tableName}_data] where `;
+    if (limit) {
+        // SQLite is usually built without DELETE ... LIMIT support,
+        // so bound the batch through a rowid sub-select instead.
+        sql += `rowid in (select rowid from [${tableName}_data] ` +
+            `where ${condition} limit ${limit})`;
+    } else {
+        sql += condition;
+    }
+    return {
+        sql,
+        params: [new Date().getTime()]
+    };
+};
 
 module.exports = dbu;
@@ -0,0 +1,194 @@
+'use strict';
+
+var assert = require('assert');
+var sqlite3 = require('sqlite3');
+var utils = require('./utils/module');
+
+function schema(table) {
+    return {
+        table: table,
+        attributes: {
+            key: 'string',
+            value: 'string'
+        },
+        index: [{ attribute: 'key', type: 'hash' }]
+    };
+}
+
+function exec(file, sql) {
+    return new Promise(function (resolve, reject) {
+        var db = new sqlite3.Database(file);
+        db.exec(sql, function (err) {
+            db.close();
+            return err ? reject(err) : resolve();
+        });
+    });
+}
+
+describe('Batches', function () {
+    var file = utils.tmpFile('batch.db');
+    var otherFile = utils.tmpFile('batch-other.db');
+    var module;
+
+    function get(table, key, domain) {
+        return module.operations.get({}, {
+            params: { domain: domain || utils.DOMAIN, table: table },
+            body: { table: table, attributes: { key: key } }
+        })
+        .then(function (res) {
+            return res.body.items;
+        });
+    }
+
+    function batch(operations) {
+        return module.operations.batch({}, {
+            params: { domain: utils.DOMAIN },
+            body: { operations: operations }
+        });
+    }
+
+    before(function () {
+        utils.removeDB(file);
+        utils.removeDB(otherFile);
+        return utils.create({
+            dbname: file,
+            storage_groups: [
+                { name: 'other', domains: 'other.org', dbname: otherFile },
+                { name: 'default', domains: '/./' }
+            ]
+        })
+        .then(function (created) {
+            module = created;
+            return Promise.all(['first', 'second'].map(function (table) {
+                return module.request('createTable', schema(table));
+            }));
+        })
+        .then(function () {
+            return module.operations.createTable({}, {
+                params: { domain: 'other.org', table: 'first' },
+                body: schema('first')
+            });
+        })
+        .then(function () {
+            return module.request('put', {
+                table: 'first',
+                attributes: { key: 'kept', value: 'before' }
+            });
+        })
+        .then(function () {
+            // Fails the writes of a given value, once the batch is running
+            return exec(file, 'create trigger fail_writes before insert on ' +
+                '[default_second_data] when new."value" = \'fail\' ' +
+                'begin select raise(abort, \'failed write\'); end');
+        });
+    });
+    after(function () {
+        return module.close()
+        .then(function () {
+            utils.removeDB(file);
+            utils.removeDB(otherFile);
+        });
+    });
+
+    it('applies all of the operations', function () {
+        return batch([
+            { operation: 'put', table: 'first', attributes: { key: 'a', value: 'one' } },
+            { operation: 'put', table: 'second', attributes: { key: 'a', value: 'two' } },
+            { operation: 'delete', table: 'first', attributes: { key: 'kept' } },
+            { operation: 'put', table: 'first', attributes: { key: 'kept', value: 'after' } }
+        ])
+        .then(function (res) {
+            assert.deepEqual(res.status, 200);
+            assert.deepEqual(res.body.items.length, 4);
+            return Promise.all([get('first', 'a'), get('second', 'a'), get('first', 'kept')]);
+        })
+        .then(function (results) {
+            assert.deepEqual(results[0], [{ key: 'a', value: 'one' }]);
+            assert.deepEqual(results[1], [{ key: 'a', value: 'two' }]);
+            assert.deepEqual(results[2], [{ key: 'kept', value: 'after' }]);
+        });
+    });
+
+    it('rolls back when an operation fails', function () {
+        return batch([
+            { operation: 'put', table: 'first', attributes: { key: 'b', value: 'one' } },
+            { operation: 'delete', table: 'first', attributes: { key: 'kept' } },
+            { operation: 'put', table: 'second', attributes: { key: 'b', value: 'fail' } }
+        ])
+        .then(function (res) {
+            assert.deepEqual(res.status, 500);
+            assert.deepEqual(res.body.type, 'batch_error');
+            assert.deepEqual(res.body.index, 2);
+            return Promise.all([get('first', 'b'), get('first', 'kept')]);
+        })
+        .then(function (results) {
+            assert.deepEqual(results[0], []);
+            assert.deepEqual(results[1], [{ key: 'kept', value: 'after' }]);
+        });
+    });
+
+    it('rolls back when an operation is invalid', function () {
+        return batch([
+            { operation: 'put', table: 'first', attributes: { key: 'c', value: 'one' } },
+            { operation: 'put', table: 'second', attributes: { key: 'c', nope: 'two' } }
+        ])
+        .then(function (res) {
+            assert.deepEqual(res.body.type, 'batch_error');
+            assert.deepEqual(res.body.index, 1);
+            return get('first', 'c');
+        })
+        .then(function (items) {
+            assert.deepEqual(items, []);
+        });
+    });
+
+    it('rolls back when a condition does not hold', function () {
+        return batch([
+            { operation: 'put', table: 'first', attributes: { key: 'd', value: 'one' } },
+            {
+                operation: 'put',
+                table: 'first',
+                attributes: { key: 'kept', value: 'conditional' },
+                if: { value: { eq: 'before' } }
+            }
+        ])
+        .then(function (res) {
+            assert.deepEqual(res.status, 412);
+            assert.deepEqual(res.body.index, 1);
+            assert.deepEqual(res.body.applied, false);
+            assert.deepEqual(res.body.items, [{ key: 'kept', value: 'after' }]);
+            return get('first', 'd');
+        })
+        .then(function (items) {
+            assert.deepEqual(items, []);
+        });
+    });
+
+    it('rejects operations on tables stored in other databases', function () {
+        return batch([
+            { operation: 'put', table: 'first', attributes: { key: 'e', value: 'one' } },
+            {
+                operation: 'put',
+                table: 'first',
+                domain: 'other.org',
+                attributes: { key: 'e', value: 'two' }
+            }
+        ])
+        .then(function (res) {
+            assert.deepEqual(res.status, 400);
+            assert.deepEqual(res.body.index, 1);
+            return Promise.all([get('first', 'e'), get('first', 'e', 'other.org')]);
+        })
+        .then(function (results) {
+            assert.deepEqual(results[0], []);
+            assert.deepEqual(results[1], []);
+        });
+    });
+
+    it('rejects empty batches', function () {
+        return batch([])
+        .then(function (res) {
+            assert.deepEqual(res.status, 400);
+        });
+    });
+});
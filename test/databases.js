@@ -0,0 +1,463 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var sqlite3 = require('sqlite3');
+var makeDB = require('../lib/db');
+var Wrapper = require('../lib/clientWrapper');
+var utils = require('./utils/module');
+
+var schema = {
+    table: 'pages',
+    attributes: {
+        key: 'string',
+        value: 'string'
+    },
+    index: [{ attribute: 'key', type: 'hash' }]
+};
+
+function tables(file) {
+    return new Promise(function (resolve, reject) {
+        var db = new sqlite3.Database(file);
+        db.all('select name from sqlite_master where type = \'table\' order by name',
+            function (err, rows) {
+                db.close();
+                return err ? reject(err) : resolve(rows.map(function (row) {
+                    return row.name;
+                }));
+            });
+    });
+}
+
+function request(module, operation, domain, body) {
+    return module.operations[operation]({}, {
+        params: { domain: domain, table: body.table },
+        query: {},
+        body: body
+    });
+}
+
+describe('In-memory databases', function () {
+    var fixture = utils.tmpFile('fixture.sql');
+
+    function create() {
+        return makeDB({
+            conf: {
+                dbname: ':memory:',
+                fixture: fixture,
+                storage_groups: [{ name: 'default', domains: '/./' }]
+            },
+            log: function () {}
+        });
+    }
+
+    afterEach(function () {
+        if (fs.existsSync(fixture)) {
+            fs.unlinkSync(fixture);
+        }
+    });
+
+    it('are seeded from the fixture', function () {
+        fs.writeFileSync(fixture, 'create table seeded (value int);' +
+            'insert into seeded values (1), (2);');
+        return create()
+        .then(function (db) {
+            return db.client.all('select value from seeded order by value', [])
+            .then(function (rows) {
+                assert.deepEqual(rows, [{ value: 1 }, { value: 2 }]);
+                return db.createTable(utils.DOMAIN, schema);
+            })
+            .then(function () {
+                return db.put(utils.DOMAIN, {
+                    table: 'pages',
+                    attributes: { key: 'a', value: 'one' }
+                });
+            })
+            .then(function () {
+                return db.get(utils.DOMAIN, { table: 'pages', attributes: { key: 'a' } });
+            })
+            .then(function (res) {
+                assert.deepEqual(res.items, [{ key: 'a', value: 'one' }]);
+                return db.client.all('select count(*) as count from seeded', []);
+            })
+            .then(function (rows) {
+                // Still the same database
+                assert.deepEqual(rows, [{ count: 2 }]);
+            })
+            .finally(function () {
+                return db.close();
+            });
+        });
+    });
+
+    it('fail to start without their fixture', function () {
+        return create()
+        .then(function () {
+            throw new Error('The startup should have failed');
+        }, function (e) {
+            assert.deepEqual(e.code, 'ENOENT');
+        });
+    });
+
+    it('fail to start if their fixture fails', function () {
+        fs.writeFileSync(fixture, 'insert into missing values (1);');
+        return create()
+        .then(function () {
+            throw new Error('The startup should have failed');
+        }, function (e) {
+            assert.ok(/no such table: missing/.test(e.message), e.message);
+        });
+    });
+});
+
+describe('Storage groups', function () {
+    var wikiFile = utils.tmpFile('wiki.db');
+    var defaultFile = utils.tmpFile('default.db');
+    var module;
+
+    before(function () {
+        utils.removeDB(wikiFile);
+        utils.removeDB(defaultFile);
+        return utils.create({
+            dbname: defaultFile,
+            storage_groups: [
+                { name: 'wiki', domains: '/\\.wikipedia\\.org$/', dbname: wikiFile },
+                { name: 'default', domains: '/./' }
+            ]
+        })
+        .then(function (created) {
+            module = created;
+            return Promise.all([
+                request(module, 'createTable', 'en.wikipedia.org', schema),
+                request(module, 'createTable', utils.DOMAIN, schema)
+            ]);
+        })
+        .then(function () {
+            return Promise.all([
+                request(module, 'put', 'en.wikipedia.org', {
+                    table: 'pages',
+                    attributes: { key: 'a', value: 'wiki' }
+                }),
+                request(module, 'put', utils.DOMAIN, {
+                    table: 'pages',
+                    attributes: { key: 'a', value: 'default' }
+                })
+            ]);
+        });
+    });
+    after(function () {
+        return module.close()
+        .then(function () {
+            utils.removeDB(wikiFile);
+            utils.removeDB(defaultFile);
+        });
+    });
+
+    it('store the tables of a group in its database', function () {
+        return Promise.all([tables(wikiFile), tables(defaultFile)])
+        .then(function (results) {
+            assert.ok(results[0].indexOf('wiki_pages_data') >= 0);
+            assert.ok(results[0].indexOf('default_pages_data') < 0);
+            assert.ok(results[1].indexOf('default_pages_data') >= 0);
+            assert.ok(results[1].indexOf('wiki_pages_data') < 0);
+            // Each database stores the schemas of its tables
+            assert.ok(results[0].indexOf('global_schema_data') >= 0);
+        });
+    });
+
+    it('route the requests to the database of the group', function () {
+        return Promise.all([
+            request(module, 'get', 'en.wikipedia.org', {
+                table: 'pages',
+                attributes: { key: 'a' }
+            }),
+            request(module, 'get', utils.DOMAIN, { table: 'pages', attributes: { key: 'a' } })
+        ])
+        .then(function (results) {
+            assert.deepEqual(results[0].body.items, [{ key: 'a', value: 'wiki' }]);
+            assert.deepEqual(results[1].body.items, [{ key: 'a', value: 'default' }]);
+        });
+    });
+
+    it('route the requests to the tables created by other modules', function () {
+        var other;
+        return utils.create({
+            dbname: defaultFile,
+            storage_groups: [
+                { name: 'wiki', domains: '/\\.wikipedia\\.org$/', dbname: wikiFile },
+                { name: 'default', domains: '/./' }
+            ]
+        })
+        .then(function (created) {
+            other = created;
+            return request(other, 'get', 'en.wikipedia.org', {
+                table: 'pages',
+                attributes: { key: 'a' }
+            });
+        })
+        .then(function (res) {
+            assert.deepEqual(res.body.items, [{ key: 'a', value: 'wiki' }]);
+            return other.close();
+        });
+    });
+
+    it('share the connection options of the module', function () {
+        var file = utils.tmpFile('shared.db');
+        utils.removeDB(file);
+        return makeDB({
+            conf: {
+                dbname: ':memory:',
+                journal_mode: 'truncate',
+                expiry_sweep_interval: 0,
+                storage_groups: [
+                    { name: 'wiki', domains: 'en.wikipedia.org', dbname: file, synchronous: 'off' },
+                    { name: 'default', domains: '/./' }
+                ]
+            },
+            log: function () {}
+        })
+        .then(function (db) {
+            var client = db._clients.get(file);
+            // Only the connection options are shared
+            assert.deepEqual(client.conf.expiry_sweep_interval, undefined);
+            assert.deepEqual(client.conf.storage_groups, undefined);
+            return Promise.all([
+                client.all('pragma journal_mode', []),
+                client.all('pragma synchronous', [])
+            ])
+            .then(function (results) {
+                assert.deepEqual(results, [[{ journal_mode: 'truncate' }], [{ synchronous: 0 }]]);
+                return db.close();
+            }, function (err) {
+                return db.close()
+                .then(function () {
+                    throw err;
+                });
+            });
+        })
+        .then(function () {
+            utils.removeDB(file);
+        });
+    });
+});
+
+describe('Backups', function () {
+    var file = utils.tmpFile('backup.db');
+    var backupDir;
+    var module;
+
+    function backup(operation, name) {
+        return module.operations[operation]({}, {
+            params: { domain: utils.DOMAIN },
+            body: { file: name }
+        });
+    }
+
+    function get(key) {
+        return module.request('get', { table: 'pages', attributes: { key: key } });
+    }
+
+    before(function () {
+        utils.removeDB(file);
+        backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbsqlite-backups-'));
+        return utils.create({ dbname: file, backup_dir: backupDir })
+        .then(function (created) {
+            module = created;
+            return module.request('createTable', schema);
+        })
+        .then(function () {
+            return module.request('put', {
+                table: 'pages',
+                attributes: { key: 'a', value: 'backed up' }
+            });
+        });
+    });
+    after(function () {
+        return module.close()
+        .then(function () {
+            fs.readdirSync(backupDir).forEach(function (name) {
+                fs.unlinkSync(path.join(backupDir, name));
+            });
+            fs.rmdirSync(backupDir);
+            utils.removeDB(file);
+        });
+    });
+
+    it('restore the data of a backup', function () {
+        return backup('backup', 'round-trip.sqlite3')
+        .then(function (res) {
+            assert.deepEqual(res.status, 200, JSON.stringify(res.body));
+            assert.ok(fs.existsSync(path.join(backupDir, 'round-trip.sqlite3')));
+            return module.request('put', {
+                table: 'pages',
+                attributes: { key: 'b', value: 'not backed up' }
+            });
+        })
+        .then(function () {
+            return backup('restore', 'round-trip.sqlite3');
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 200, JSON.stringify(res.body));
+            return Promise.all([get('a'), get('b')]);
+        })
+        .then(function (results) {
+            assert.deepEqual(results[0].body.items, [{ key: 'a', value: 'backed up' }]);
+            assert.deepEqual(results[1].status, 404);
+        });
+    });
+
+    it('are written to plain file names', function () {
+        return backup('backup', '../escaped.sqlite3')
+        .then(function (res) {
+            assert.deepEqual(res.status, 400);
+            return backup('backup');
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 400);
+        });
+    });
+
+    it('are not restored from missing files', function () {
+        return backup('restore', 'missing.sqlite3')
+        .then(function (res) {
+            assert.deepEqual(res.status, 404);
+            return get('a');
+        })
+        .then(function (res) {
+            assert.deepEqual(res.body.items, [{ key: 'a', value: 'backed up' }]);
+        });
+    });
+
+    it('are disabled without a backup_dir', function () {
+        return utils.create()
+        .then(function (created) {
+            return created.operations.backup({}, {
+                params: { domain: utils.DOMAIN },
+                body: { file: 'disabled.sqlite3' }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 403);
+                return created.close();
+            });
+        });
+    });
+});
+
+describe('Connections', function () {
+    var file = utils.tmpFile('connections.db');
+
+    function open(conf) {
+        return new Wrapper({
+            conf: Object.assign({ dbname: file }, conf),
+            log: function () {}
+        });
+    }
+
+    // Runs the test with a client, closing it once done
+    function withClient(conf, test) {
+        var client = open(conf);
+        return test(client)
+        .then(function () {
+            return client.close();
+        }, function (err) {
+            return client.close()
+            .then(function () {
+                throw err;
+            });
+        });
+    }
+
+    beforeEach(function () {
+        utils.removeDB(file);
+    });
+    after(function () {
+        utils.removeDB(file);
+    });
+
+    it('use the write-ahead log by default', function () {
+        return withClient({}, function (client) {
+            return client.all('pragma journal_mode', [])
+            .then(function (rows) {
+                assert.deepEqual(rows, [{ journal_mode: 'wal' }]);
+            });
+        });
+    });
+
+    it('are set up with the configured pragmas', function () {
+        return withClient({
+            journal_mode: 'truncate',
+            synchronous: 'off',
+            busy_timeout: 1234,
+            cache_size: -4000
+        }, function (client) {
+            return Promise.all([
+                client.all('pragma journal_mode', []),
+                client.all('pragma synchronous', []),
+                client.all('pragma busy_timeout', []),
+                client.all('pragma cache_size', [])
+            ])
+            .then(function (results) {
+                assert.deepEqual(results, [
+                    [{ journal_mode: 'truncate' }],
+                    [{ synchronous: 0 }],
+                    [{ timeout: 1234 }],
+                    [{ cache_size: -4000 }]
+                ]);
+            });
+        });
+    });
+
+    it('reject invalid pragma values', function () {
+        assert.throws(function () {
+            open({ journal_mode: 'wal; drop table pages' });
+        }, /Invalid value for journal_mode/);
+        assert.throws(function () {
+            open({ cache_size: '1 2' });
+        }, /Invalid value for cache_size/);
+    });
+
+    it('ignore unknown pragmas', function () {
+        return withClient({ writable_schema: 'on' }, function (client) {
+            return client.all('pragma writable_schema', [])
+            .then(function (rows) {
+                assert.deepEqual(rows, [{ writable_schema: 0 }]);
+            });
+        });
+    });
+
+    it('read in parallel while a write transaction is open', function () {
+        return withClient({ reader_pool_size: 2 }, function (client) {
+            return client.run([
+                { sql: 'create table pages (key text)', params: [] },
+                { sql: 'insert into pages values (\'a\')', params: [] }
+            ])
+            .then(function () {
+                return client.transaction(function (tx) {
+                    return tx.run('insert into pages values (\'b\')', [])
+                    .then(function () {
+                        var reads = [];
+                        for (var i = 0; i < 4; i++) {
+                            reads.push(client.all('select key from pages', []));
+                        }
+                        return Promise.all(reads);
+                    })
+                    .then(function (results) {
+                        // The write isn't committed yet
+                        results.forEach(function (rows) {
+                            assert.deepEqual(rows, [{ key: 'a' }]);
+                        });
+                        assert.deepEqual(client.readerPool.size, 2);
+                    });
+                });
+            })
+            .then(function () {
+                return client.all('select key from pages order by key', []);
+            })
+            .then(function (rows) {
+                assert.deepEqual(rows, [{ key: 'a' }, { key: 'b' }]);
+            });
+        });
+    });
+});
@@ -6,10 +6,20 @@ var fs = require('fs');
 describe('Functional', function () {
     var conf = yaml.safeLoad(fs.readFileSync(__dirname + '/test_client.conf.yaml'));
     var dbConstructor = require('../index.js');
+    var modules = [];
     require('restbase-mod-table-spec').test(function () {
         return dbConstructor({
             conf: conf,
             log: function () {}
+        })
+        .then(function (module) {
+            modules.push(module);
+            return module;
         });
     });
+    after(function () {
+        return Promise.all(modules.map(function (module) {
+            return module.close();
+        }));
+    });
 });
@@ -0,0 +1,351 @@
+'use strict';
+
+var assert = require('assert');
+var sqlite3 = require('sqlite3');
+var utils = require('./utils/module');
+
+var attributes = {
+    key: 'string',
+    rev: 'int',
+    value: 'string',
+    extra: 'string'
+};
+
+var index = [
+    { attribute: 'key', type: 'hash' },
+    { attribute: 'rev', type: 'range', order: 'asc' }
+];
+
+function schema(table, version, changes) {
+    return Object.assign({
+        table: table,
+        version: version,
+        attributes: attributes,
+        index: index
+    }, changes);
+}
+
+function put(module, table, rows) {
+    return Promise.all(rows.map(function (row) {
+        return module.request('put', { table: table, attributes: row });
+    }));
+}
+
+function getRows(module, table, key) {
+    return module.request('get', { table: table, attributes: { key: key || 'a' } })
+    .then(function (res) {
+        return res.body.items;
+    });
+}
+
+function assertMigrated(res) {
+    assert.deepEqual(res.status, 201, JSON.stringify(res.body));
+}
+
+describe('Schema migrations', function () {
+    var module;
+
+    before(function () {
+        return utils.create()
+        .then(function (created) {
+            module = created;
+        });
+    });
+    after(function () {
+        return module.close();
+    });
+
+    function createTable(table, rows) {
+        return module.request('createTable', schema(table, 1))
+        .then(function (res) {
+            assertMigrated(res);
+            return put(module, table, rows || [
+                { key: 'a', rev: 1, value: 'one', extra: 'x' },
+                { key: 'a', rev: 2, value: 'two', extra: 'y' }
+            ]);
+        });
+    }
+
+    it('keeps the data of the other columns when dropping one', function () {
+        return createTable('dropColumn')
+        .then(function () {
+            return module.request('createTable', schema('dropColumn', 2, {
+                attributes: { key: 'string', rev: 'int', value: 'string' }
+            }));
+        })
+        .then(function (res) {
+            assertMigrated(res);
+            return getRows(module, 'dropColumn');
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows, [
+                { key: 'a', rev: 1, value: 'one' },
+                { key: 'a', rev: 2, value: 'two' }
+            ]);
+            return module.request('getTableSchema', { table: 'dropColumn' });
+        })
+        .then(function (res) {
+            assert.deepEqual(res.body.attributes.extra, undefined);
+        });
+    });
+
+    it('changes the order of range keys', function () {
+        return createTable('rangeOrder')
+        .then(function () {
+            return module.request('createTable', schema('rangeOrder', 2, {
+                index: [
+                    { attribute: 'key', type: 'hash' },
+                    { attribute: 'rev', type: 'range', order: 'desc' }
+                ]
+            }));
+        })
+        .then(function (res) {
+            assertMigrated(res);
+            return getRows(module, 'rangeOrder');
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows.map(function (row) {
+                return row.rev;
+            }), [2, 1]);
+        });
+    });
+
+    it('adds existing attributes to the range keys', function () {
+        return createTable('newRangeKey')
+        .then(function () {
+            return module.request('createTable', schema('newRangeKey', 2, {
+                index: index.concat([{ attribute: 'value', type: 'range', order: 'asc' }])
+            }));
+        })
+        .then(function (res) {
+            assertMigrated(res);
+            return getRows(module, 'newRangeKey');
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows.length, 2);
+        });
+    });
+
+    it('rejects range keys without a value in every row', function () {
+        return createTable('nullRangeKey', [
+            { key: 'a', rev: 1, value: 'one' },
+            { key: 'a', rev: 2 }
+        ])
+        .then(function () {
+            return module.request('createTable', schema('nullRangeKey', 2, {
+                index: index.concat([{ attribute: 'value', type: 'range', order: 'asc' }])
+            }));
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 400);
+            return module.request('createTable', schema('nullRangeKey', 2, {
+                attributes: Object.assign({ added: 'string' }, attributes),
+                index: index.concat([{ attribute: 'added', type: 'range', order: 'asc' }])
+            }));
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 400);
+            return getRows(module, 'nullRangeKey');
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows.length, 2);
+        });
+    });
+
+    it('moves attributes to the static columns, and back', function () {
+        return createTable('staticMove', [
+            { key: 'a', rev: 1, value: 'one', extra: 'x' },
+            { key: 'a', rev: 2, value: 'two', extra: 'x' },
+            { key: 'b', rev: 1, value: 'three' }
+        ])
+        .then(function () {
+            return module.request('createTable', schema('staticMove', 2, {
+                index: index.concat([{ attribute: 'extra', type: 'static' }])
+            }));
+        })
+        .then(function (res) {
+            assertMigrated(res);
+            return put(module, 'staticMove', [{ key: 'a', rev: 3, value: 'four' }]);
+        })
+        .then(function () {
+            return getRows(module, 'staticMove');
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows.map(function (row) {
+                return row.extra;
+            }), ['x', 'x', 'x']);
+            return getRows(module, 'staticMove', 'b');
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows, [{ key: 'b', rev: 1, value: 'three', extra: null }]);
+            return module.request('createTable', schema('staticMove', 3));
+        })
+        .then(function (res) {
+            assertMigrated(res);
+            return getRows(module, 'staticMove');
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows.map(function (row) {
+                return row.extra;
+            }), ['x', 'x', 'x']);
+        });
+    });
+
+    it('rejects static attributes with several values in a partition', function () {
+        return createTable('staticConflict')
+        .then(function () {
+            return module.request('createTable', schema('staticConflict', 2, {
+                index: index.concat([{ attribute: 'extra', type: 'static' }])
+            }));
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 400);
+            return getRows(module, 'staticConflict');
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows.map(function (row) {
+                return row.extra;
+            }), ['x', 'y']);
+        });
+    });
+
+    it('widens attribute types', function () {
+        var widened = {
+            key: 'string',
+            i1: 'long',
+            i2: 'varint',
+            i3: 'double',
+            f: 'double',
+            l: 'varint',
+            s: 'json',
+            si: 'set<int>',
+            ss: 'set<string>'
+        };
+        return module.request('createTable', {
+            table: 'widening',
+            attributes: {
+                key: 'string',
+                i1: 'int',
+                i2: 'int',
+                i3: 'int',
+                f: 'float',
+                l: 'long',
+                s: 'string',
+                si: 'int',
+                ss: 'string'
+            },
+            index: [{ attribute: 'key', type: 'hash' }]
+        })
+        .then(function () {
+            return put(module, 'widening', [{
+                key: 'a',
+                i1: 1,
+                i2: 2,
+                i3: 3,
+                f: 1.5,
+                l: '1234567890',
+                s: 'text',
+                si: 4,
+                ss: '5'
+            }]);
+        })
+        .then(function () {
+            return module.request('createTable', {
+                table: 'widening',
+                version: 2,
+                attributes: widened,
+                index: [{ attribute: 'key', type: 'hash' }]
+            });
+        })
+        .then(function (res) {
+            assertMigrated(res);
+            return getRows(module, 'widening');
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows, [{
+                key: 'a',
+                i1: 1,
+                i2: 2,
+                i3: 3,
+                f: 1.5,
+                l: 1234567890,
+                s: 'text',
+                si: [4],
+                ss: ['5']
+            }]);
+            return module.request('getTableSchema', { table: 'widening' });
+        })
+        .then(function (res) {
+            assert.deepEqual(res.body.attributes, widened);
+        });
+    });
+
+    it('rejects narrowing attribute types', function () {
+        return createTable('narrowing')
+        .then(function () {
+            return module.request('createTable', schema('narrowing', 2, {
+                attributes: Object.assign({}, attributes, { rev: 'string' })
+            }));
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 400);
+        });
+    });
+
+    describe('failing', function () {
+        var file = utils.tmpFile('migrations.db');
+        var fileModule;
+
+        before(function () {
+            utils.removeDB(file);
+            return utils.create({ dbname: file })
+            .then(function (created) {
+                fileModule = created;
+                return fileModule.request('createTable', schema('rollback', 1));
+            })
+            .then(function () {
+                return put(fileModule, 'rollback', [
+                    { key: 'a', rev: 1, value: 'one', extra: 'x' }
+                ]);
+            })
+            .then(function () {
+                // Standing in the way of the full-text index, once the
+                // tables are rebuilt
+                return new Promise(function (resolve, reject) {
+                    var db = new sqlite3.Database(file);
+                    db.exec('create view [default_rollback_fts] as select 1', function (err) {
+                        db.close();
+                        return err ? reject(err) : resolve();
+                    });
+                });
+            });
+        });
+        after(function () {
+            return fileModule.close()
+            .then(function () {
+                utils.removeDB(file);
+            });
+        });
+
+        it('rolls the whole migration back', function () {
+            return fileModule.request('createTable', schema('rollback', 2, {
+                attributes: { key: 'string', rev: 'int', value: 'string' },
+                fullTextIndex: ['value']
+            }))
+            .then(function (res) {
+                assert.deepEqual(res.status, 500);
+                assert.deepEqual(res.body.type, 'schema_migration_error');
+                assert.deepEqual(res.body.migrator, 'fullTextIndex');
+                return getRows(fileModule, 'rollback');
+            })
+            .then(function (rows) {
+                assert.deepEqual(rows, [{ key: 'a', rev: 1, value: 'one', extra: 'x' }]);
+                return fileModule.request('getTableSchema', { table: 'rollback' });
+            })
+            .then(function (res) {
+                assert.deepEqual(res.body.version, 1);
+                assert.deepEqual(res.body.attributes, attributes);
+            });
+        });
+    });
+});
@@ -0,0 +1,283 @@
+'use strict';
+
+var assert = require('assert');
+var utils = require('./utils/module');
+
+var schema = {
+    table: 'paging',
+    attributes: {
+        key: 'string',
+        rev: 'int',
+        value: 'string'
+    },
+    index: [
+        { attribute: 'key', type: 'hash' },
+        { attribute: 'rev', type: 'range', order: 'desc' }
+    ]
+};
+
+function fill(module, count) {
+    var puts = [];
+    for (var rev = 0; rev < count; rev++) {
+        puts.push(module.request('put', {
+            table: 'paging',
+            attributes: { key: 'a', rev: rev, value: 'value ' + rev }
+        }));
+    }
+    return Promise.all(puts);
+}
+
+function getPage(module, next) {
+    return module.request('get', {
+        table: 'paging',
+        attributes: { key: 'a' },
+        limit: 4,
+        next: next
+    });
+}
+
+describe('Paging', function () {
+    var module;
+
+    before(function () {
+        return utils.create()
+        .then(function (created) {
+            module = created;
+            return module.request('createTable', schema);
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 201);
+            return fill(module, 10);
+        });
+    });
+    after(function () {
+        return module.close();
+    });
+
+    it('walks all rows with paging tokens', function () {
+        var revs = [];
+        function walk(next) {
+            return getPage(module, next)
+            .then(function (res) {
+                assert.deepEqual(res.status, 200);
+                res.body.items.forEach(function (item) {
+                    revs.push(item.rev);
+                });
+                if (res.body.next) {
+                    assert.deepEqual(typeof res.body.next, 'string');
+                    return walk(res.body.next);
+                }
+            });
+        }
+        return walk()
+        .then(function () {
+            assert.deepEqual(revs, [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]);
+        });
+    });
+
+    it('resumes after rows written since the previous page', function () {
+        return getPage(module)
+        .then(function (res) {
+            return module.request('put', {
+                table: 'paging',
+                attributes: { key: 'a', rev: 7, value: 'rewritten' }
+            })
+            .then(function () {
+                return getPage(module, res.body.next);
+            });
+        })
+        .then(function (res) {
+            assert.deepEqual(res.body.items.map(function (item) {
+                return item.rev;
+            }), [5, 4, 3, 2]);
+        });
+    });
+
+    it('still accepts numeric offsets', function () {
+        return getPage(module, '6')
+        .then(function (res) {
+            assert.deepEqual(res.status, 200);
+            assert.deepEqual(res.body.items.map(function (item) {
+                return item.rev;
+            }), [3, 2, 1, 0]);
+        });
+    });
+
+    it('rejects tampered tokens', function () {
+        return getPage(module)
+        .then(function (res) {
+            var parts = res.body.next.split('.');
+            var keys = Buffer.from(JSON.stringify([0])).toString('base64');
+            return getPage(module, keys + '.' + parts[1]);
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 400);
+            assert.deepEqual(res.body.type, 'bad_request');
+        });
+    });
+
+    it('rejects tokens of other tables', function () {
+        var next;
+        return getPage(module)
+        .then(function (res) {
+            next = res.body.next;
+            return module.request('createTable', Object.assign({}, schema, { table: 'other' }));
+        })
+        .then(function () {
+            return module.request('get', {
+                table: 'other',
+                attributes: { key: 'a' },
+                limit: 4,
+                next: next
+            });
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 400);
+        });
+    });
+
+    describe('keys without a value', function () {
+        var nullable = {
+            table: 'nullable',
+            attributes: {
+                key: 'string',
+                rev: 'int',
+                tid: 'timeuuid',
+                value: 'string',
+                extra: 'string'
+            },
+            index: [
+                { attribute: 'key', type: 'hash' },
+                { attribute: 'rev', type: 'range', order: 'desc' },
+                { attribute: 'tid', type: 'range', order: 'desc' }
+            ],
+            secondaryIndexes: {
+                by_value: [
+                    { attribute: 'value', type: 'hash' },
+                    { attribute: 'extra', type: 'range', order: 'asc' }
+                ]
+            }
+        };
+        var tids = ['1b4e0a50-3c2d-11e8-8080-808080808080', '2c5f1b60-3c2d-11e8-8080-808080808080'];
+
+        // Walks the results of a query a row at a time
+        function walk(table, index, attributes) {
+            var items = [];
+            function next(token) {
+                return module.request('get', {
+                    table: table,
+                    index: index,
+                    attributes: Object.assign({}, attributes),
+                    limit: 1,
+                    next: token
+                })
+                .then(function (res) {
+                    if (res.status === 404) {
+                        // The previous page was the last one
+                        return;
+                    }
+                    assert.deepEqual(res.status, 200);
+                    items = items.concat(res.body.items);
+                    if (res.body.next) {
+                        return next(res.body.next);
+                    }
+                });
+            }
+            return next()
+            .then(function () {
+                return items.map(function (item) {
+                    return [item.extra, item.rev, item.tid];
+                });
+            });
+        }
+
+        before(function () {
+            return module.request('createTable', nullable)
+            .then(function (res) {
+                assert.deepEqual(res.status, 201);
+                return Promise.all([
+                    { key: 'a', rev: 2, value: 'x', extra: 'b' },
+                    { key: 'a', rev: 2, tid: tids[0], value: 'x' },
+                    { key: 'a', rev: 1, value: 'x', extra: 'a' },
+                    { key: 'a', rev: 1, tid: tids[1], value: 'x' },
+                    { key: 'a', rev: 1, tid: tids[0], value: 'x' },
+                    { key: 'a', rev: 0, value: 'x', extra: 'c' }
+                ].map(function (row) {
+                    return module.request('put', { table: 'nullable', attributes: row });
+                }));
+            });
+        });
+
+        it('are walked on tables', function () {
+            return walk('nullable', undefined, { key: 'a' })
+            .then(function (items) {
+                assert.deepEqual(items, [
+                    [null, 2, tids[0]],
+                    ['b', 2, null],
+                    [null, 1, tids[1]],
+                    [null, 1, tids[0]],
+                    ['a', 1, null],
+                    ['c', 0, null]
+                ]);
+            });
+        });
+
+        it('are walked on secondary indexes', function () {
+            return walk('nullable', 'by_value', { value: 'x' })
+            .then(function (items) {
+                assert.deepEqual(items, [
+                    [null, 1, tids[0]],
+                    [null, 1, tids[1]],
+                    [null, 2, tids[0]],
+                    ['a', 1, null],
+                    ['b', 2, null],
+                    ['c', 0, null]
+                ]);
+            });
+        });
+    });
+
+    describe('default secret', function () {
+        var file = utils.tmpFile('paging.db');
+        var modules = [];
+
+        before(function () {
+            utils.removeDB(file);
+            return utils.create({ dbname: file })
+            .then(function (created) {
+                modules.push(created);
+                return created.request('createTable', schema);
+            })
+            .then(function () {
+                return fill(modules[0], 10);
+            })
+            .then(function () {
+                return utils.create({ dbname: file });
+            })
+            .then(function (created) {
+                modules.push(created);
+            });
+        });
+        after(function () {
+            return Promise.all(modules.map(function (created) {
+                return created.close();
+            }))
+            .then(function () {
+                utils.removeDB(file);
+            });
+        });
+
+        it('is shared by the modules using the same database', function () {
+            return getPage(modules[0])
+            .then(function (res) {
+                return getPage(modules[1], res.body.next);
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 200);
+                assert.deepEqual(res.body.items.map(function (item) {
+                    return item.rev;
+                }), [5, 4, 3, 2]);
+            });
+        });
+    });
+});
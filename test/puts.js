@@ -0,0 +1,441 @@
+'use strict';
+
+var assert = require('assert');
+var makeDB = require('../lib/db');
+var utils = require('./utils/module');
+
+var schema = {
+    table: 'puts',
+    attributes: {
+        key: 'string',
+        value: 'string'
+    },
+    index: [{ attribute: 'key', type: 'hash' }]
+};
+
+function setup(conf) {
+    return utils.create(conf)
+    .then(function (module) {
+        return module.request('createTable', schema)
+        .then(function () {
+            return module.request('put', {
+                table: 'puts',
+                attributes: { key: 'a', value: 'current' }
+            });
+        })
+        .then(function () {
+            return module;
+        });
+    });
+}
+
+function get(module) {
+    return module.request('get', { table: 'puts', attributes: { key: 'a' } })
+    .then(function (res) {
+        return res.body.items;
+    });
+}
+
+describe('Conditional puts', function () {
+    describe('reporting unapplied writes', function () {
+        var module;
+
+        before(function () {
+            return setup({ report_unapplied_writes: true })
+            .then(function (created) {
+                module = created;
+            });
+        });
+        after(function () {
+            return module.close();
+        });
+
+        it('report the current row when the condition does not hold', function () {
+            return module.request('put', {
+                table: 'puts',
+                attributes: { key: 'a', value: 'conditional' },
+                if: { value: { eq: 'other' } }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 412);
+                assert.deepEqual(res.body.type, 'precondition_failed');
+                assert.deepEqual(res.body.applied, false);
+                assert.deepEqual(res.body.items, [{ key: 'a', value: 'current' }]);
+                return get(module);
+            })
+            .then(function (items) {
+                assert.deepEqual(items, [{ key: 'a', value: 'current' }]);
+            });
+        });
+
+        it('are applied when the condition holds', function () {
+            return module.request('put', {
+                table: 'puts',
+                attributes: { key: 'a', value: 'conditional' },
+                if: { value: { eq: 'current' } }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 201);
+                return get(module);
+            })
+            .then(function (items) {
+                assert.deepEqual(items, [{ key: 'a', value: 'conditional' }]);
+            });
+        });
+    });
+
+    describe('by default', function () {
+        var module;
+
+        before(function () {
+            return setup()
+            .then(function (created) {
+                module = created;
+            });
+        });
+        after(function () {
+            return module.close();
+        });
+
+        it('succeed without writing when the condition does not hold', function () {
+            return module.request('put', {
+                table: 'puts',
+                attributes: { key: 'a', value: 'conditional' },
+                if: { value: { eq: 'other' } }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 201);
+                return get(module);
+            })
+            .then(function (items) {
+                assert.deepEqual(items, [{ key: 'a', value: 'current' }]);
+            });
+        });
+
+        it('do not read the current row when the condition does not hold', function () {
+            var db;
+            var reads = 0;
+            return makeDB({
+                conf: {
+                    dbname: ':memory:',
+                    storage_groups: [{ name: 'default', domains: '/./' }]
+                },
+                log: function () {}
+            })
+            .then(function (created) {
+                db = created;
+                return db.createTable(utils.DOMAIN, schema);
+            })
+            .then(function () {
+                var get = db._get;
+                db._get = function () {
+                    reads++;
+                    return get.apply(db, arguments);
+                };
+                return db.put(utils.DOMAIN, {
+                    table: 'puts',
+                    attributes: { key: 'a', value: 'conditional' },
+                    if: { value: { eq: 'other' } }
+                });
+            })
+            .then(function (res) {
+                assert.deepEqual(res, { status: 201 });
+                assert.deepEqual(reads, 0);
+            })
+            .finally(function () {
+                return db.close();
+            });
+        });
+    });
+});
+
+describe('Revision retention', function () {
+    // Revisions of 2018-04-01 10:00, 11:00, 12:00, and of 2018-04-02 10:00, 11:00
+    var tids = [
+        '7093d000-3593-11e8-8080-808080808080',
+        'd2583800-359b-11e8-8080-808080808080',
+        '341ca000-35a4-11e8-8080-808080808080',
+        '9afd9000-365c-11e8-8080-808080808080',
+        'fcc1f800-3664-11e8-8080-808080808080'
+    ];
+    var db;
+
+    before(function () {
+        return makeDB({
+            conf: {
+                dbname: ':memory:',
+                storage_groups: [{ name: 'default', domains: '/./' }]
+            },
+            log: function () {}
+        })
+        .then(function (created) {
+            db = created;
+        });
+    });
+    after(function () {
+        return db.close();
+    });
+
+    function createTable(table, policy) {
+        return db.createTable(utils.DOMAIN, {
+            table: table,
+            attributes: { key: 'string', tid: 'timeuuid', value: 'string' },
+            index: [
+                { attribute: 'key', type: 'hash' },
+                { attribute: 'tid', type: 'range', order: 'desc' }
+            ],
+            revisionRetentionPolicy: policy
+        });
+    }
+
+    function write(table, revisions) {
+        return revisions.reduce(function (prev, tid) {
+            return prev.then(function () {
+                return db.put(utils.DOMAIN, {
+                    table: table,
+                    attributes: { key: 'a', tid: tid, value: 'revision' }
+                });
+            });
+        }, Promise.resolve());
+    }
+
+    function getRevisions(table) {
+        return db.get(utils.DOMAIN, { table: table, attributes: { key: 'a' } })
+        .then(function (res) {
+            return res.items.map(function (item) {
+                return item.tid;
+            });
+        });
+    }
+
+    function countExpiring(table) {
+        return db.client.all('select count(*) as count from [default_' + table + '_data] ' +
+            'where "_exist_until" is not null', [])
+        .then(function (rows) {
+            return rows[0].count;
+        });
+    }
+
+    it('keeps the latest revisions', function () {
+        return createTable('latest', { type: 'latest', count: 2, grace_ttl: 0 })
+        .then(function () {
+            return write('latest', tids.slice(0, 3));
+        })
+        .then(function () {
+            return getRevisions('latest');
+        })
+        .then(function (revisions) {
+            assert.deepEqual(revisions, [tids[2], tids[1]]);
+        });
+    });
+
+    it('expires the older revisions after the grace period', function () {
+        var start = Date.now();
+        return createTable('grace', { type: 'latest', count: 1, grace_ttl: 60 })
+        .then(function () {
+            return write('grace', tids.slice(0, 3));
+        })
+        .then(function () {
+            return getRevisions('grace');
+        })
+        .then(function (revisions) {
+            assert.deepEqual(revisions, [tids[2], tids[1], tids[0]]);
+            return db.client.all('select "_exist_until" from [default_grace_data] ' +
+                'where "_exist_until" is not null', []);
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows.length, 2);
+            rows.forEach(function (row) {
+                assert.ok(row._exist_until >= start + 60000);
+                assert.ok(row._exist_until <= Date.now() + 60000);
+            });
+        });
+    });
+
+    it('keeps the latest revisions of each interval', function () {
+        return createTable('interval', { type: 'interval', interval: 86400, count: 1, grace_ttl: 0 })
+        .then(function () {
+            return write('interval', tids);
+        })
+        .then(function () {
+            return getRevisions('interval');
+        })
+        .then(function (revisions) {
+            assert.deepEqual(revisions, [tids[4], tids[2]]);
+            return countExpiring('interval');
+        })
+        .then(function (count) {
+            assert.deepEqual(count, 0);
+        });
+    });
+
+    it('keeps more revisions of each interval, up to the count', function () {
+        return createTable('intervalCount', {
+            type: 'interval',
+            interval: 86400,
+            count: 2,
+            grace_ttl: 0
+        })
+        .then(function () {
+            return write('intervalCount', tids);
+        })
+        .then(function () {
+            return getRevisions('intervalCount');
+        })
+        .then(function (revisions) {
+            assert.deepEqual(revisions, [tids[4], tids[3], tids[2], tids[1]]);
+        });
+    });
+
+    it('orders the revisions whatever the case of their tid', function () {
+        return createTable('upperCase', { type: 'latest', count: 1, grace_ttl: 0 })
+        .then(function () {
+            return write('upperCase', [tids[0], tids[1].toUpperCase()]);
+        })
+        .then(function () {
+            return getRevisions('upperCase');
+        })
+        .then(function (revisions) {
+            assert.deepEqual(revisions, [tids[1]]);
+            return write('upperCase', [tids[2].toUpperCase()]);
+        })
+        .then(function () {
+            return db.get(utils.DOMAIN, {
+                table: 'upperCase',
+                attributes: { key: 'a', tid: tids[2].toUpperCase() }
+            });
+        })
+        .then(function (res) {
+            assert.deepEqual(res.items.length, 1);
+        });
+    });
+});
+
+describe('Put validation', function () {
+    var validated = {
+        table: 'validated',
+        attributes: {
+            key: 'string',
+            rev: 'int',
+            tid: 'timeuuid',
+            value: 'string'
+        },
+        index: [
+            { attribute: 'key', type: 'hash' },
+            { attribute: 'rev', type: 'range', order: 'desc' },
+            { attribute: 'tid', type: 'range', order: 'desc' }
+        ]
+    };
+
+    function problems(res) {
+        return res.body.problems.map(function (problem) {
+            return [problem.attribute, problem.problem];
+        });
+    }
+
+    describe('when strict', function () {
+        var module;
+
+        before(function () {
+            return utils.create({ strict_put_validation: true })
+            .then(function (created) {
+                module = created;
+                return module.request('createTable', validated);
+            });
+        });
+        after(function () {
+            return module.close();
+        });
+
+        it('rejects invalid attributes with a 400 listing the problems', function () {
+            return module.request('put', {
+                table: 'validated',
+                attributes: { key: 'a', rev: 'one', value: 'v', nope: 'x', _ttl: -1 }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 400);
+                assert.deepEqual(res.body.type, 'bad_request');
+                assert.deepEqual(problems(res), [
+                    ['rev', 'invalid_type'],
+                    ['nope', 'unknown_attribute'],
+                    ['_ttl', 'invalid_value']
+                ]);
+                assert.deepEqual(res.body.problems[0].type, 'int');
+            });
+        });
+
+        it('rejects missing hash and range keys', function () {
+            return module.request('put', {
+                table: 'validated',
+                attributes: { value: 'v' }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 400);
+                assert.deepEqual(problems(res), [
+                    ['key', 'missing_key'],
+                    ['rev', 'missing_key']
+                ]);
+            });
+        });
+
+        it('accepts a missing tid key', function () {
+            return module.request('put', {
+                table: 'validated',
+                attributes: { key: 'a', rev: 1, value: 'v' }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 201);
+            });
+        });
+
+        it('rejects invalid conditions', function () {
+            return module.request('put', {
+                table: 'validated',
+                attributes: { key: 'a', rev: 1, value: 'v' },
+                if: {
+                    nope: { eq: 'x' },
+                    value: { matches: 'x' },
+                    rev: { between: [1] }
+                }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 400);
+                assert.deepEqual(problems(res), [
+                    ['nope', 'unknown_attribute'],
+                    ['value', 'invalid_operator'],
+                    ['rev', 'invalid_value']
+                ]);
+            });
+        });
+    });
+
+    describe('by default', function () {
+        var module;
+
+        before(function () {
+            return utils.create()
+            .then(function (created) {
+                module = created;
+                return module.request('createTable', validated);
+            });
+        });
+        after(function () {
+            return module.close();
+        });
+
+        it('fails invalid puts with a 500 listing the problems', function () {
+            return module.request('put', {
+                table: 'validated',
+                attributes: { key: 'a', value: 1 }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 500);
+                assert.deepEqual(res.body.type, 'update_error');
+                assert.deepEqual(problems(res), [
+                    ['value', 'invalid_type'],
+                    ['rev', 'missing_key']
+                ]);
+            });
+        });
+    });
+});
@@ -0,0 +1,395 @@
+'use strict';
+
+var assert = require('assert');
+var makeDB = require('../lib/db');
+var utils = require('./utils/module');
+
+function values(items, attr) {
+    return items.map(function (item) {
+        return item[attr];
+    });
+}
+
+describe('Queries', function () {
+    var module;
+
+    function get(body) {
+        return module.request('get', body);
+    }
+
+    function items(body) {
+        return get(body)
+        .then(function (res) {
+            assert.ok(res.status === 200 || res.status === 404, JSON.stringify(res.body));
+            return res.body.items;
+        });
+    }
+
+    function createTable(schema, rows) {
+        return module.request('createTable', schema)
+        .then(function (res) {
+            assert.deepEqual(res.status, 201, JSON.stringify(res.body));
+            return Promise.all(rows.map(function (row) {
+                return module.request('put', { table: schema.table, attributes: row });
+            }));
+        })
+        .then(function (results) {
+            results.forEach(function (res) {
+                assert.deepEqual(res.status, 201, JSON.stringify(res.body));
+            });
+        });
+    }
+
+    before(function () {
+        return utils.create()
+        .then(function (created) {
+            module = created;
+        });
+    });
+    after(function () {
+        return module.close();
+    });
+
+    describe('in predicates', function () {
+        before(function () {
+            var rows = [];
+            ['a', 'b', 'c'].forEach(function (key) {
+                for (var rev = 0; rev < 5; rev++) {
+                    rows.push({ key: key, rev: rev });
+                }
+            });
+            return createTable({
+                table: 'inList',
+                attributes: { key: 'string', rev: 'int' },
+                index: [
+                    { attribute: 'key', type: 'hash' },
+                    { attribute: 'rev', type: 'range', order: 'asc' }
+                ]
+            }, rows);
+        });
+
+        it('select the rows with one of the range key values', function () {
+            return items({ table: 'inList', attributes: { key: 'a', rev: { in: [4, 1, 1, 3] } } })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'rev'), [1, 3, 4]);
+            });
+        });
+
+        it('select the rows with one of the hash key values', function () {
+            return items({ table: 'inList', attributes: { key: { in: ['a', 'c'] }, rev: 2 } })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'key').sort(), ['a', 'c']);
+            });
+        });
+
+        it('reject empty lists', function () {
+            return get({ table: 'inList', attributes: { key: 'a', rev: { in: [] } } })
+            .then(function (res) {
+                assert.deepEqual(res.status >= 400, true);
+            });
+        });
+    });
+
+    describe('prefix and like predicates', function () {
+        before(function () {
+            return createTable({
+                table: 'patterns',
+                attributes: { key: 'string', name: 'string' },
+                index: [
+                    { attribute: 'key', type: 'hash' },
+                    { attribute: 'name', type: 'range', order: 'asc' }
+                ]
+            }, ['Foo', 'foo', 'foo_bar', 'foo%bar', 'fooXbar', 'food', 'fo'].map(function (name) {
+                return { key: 'a', name: name };
+            }));
+        });
+
+        it('match prefixes literally and case-sensitively', function () {
+            return items({ table: 'patterns', attributes: { key: 'a', name: { prefix: 'foo' } } })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'name'),
+                    ['foo', 'foo%bar', 'fooXbar', 'foo_bar', 'food']);
+                return items({
+                    table: 'patterns',
+                    attributes: { key: 'a', name: { prefix: 'foo_' } }
+                });
+            })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'name'), ['foo_bar']);
+            });
+        });
+
+        it('match patterns with wildcards and escapes', function () {
+            return items({ table: 'patterns', attributes: { key: 'a', name: { like: 'foo_bar' } } })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'name'), ['foo%bar', 'fooXbar', 'foo_bar']);
+                return items({
+                    table: 'patterns',
+                    attributes: { key: 'a', name: { like: 'foo\\%%' } }
+                });
+            })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'name'), ['foo%bar']);
+                return items({ table: 'patterns', attributes: { key: 'a', name: { like: 'F%' } } });
+            })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'name'), ['Foo']);
+            });
+        });
+    });
+
+    describe('aggregates', function () {
+        before(function () {
+            return createTable({
+                table: 'aggregates',
+                attributes: { key: 'string', rev: 'int', size: 'int' },
+                index: [
+                    { attribute: 'key', type: 'hash' },
+                    { attribute: 'rev', type: 'range', order: 'asc' }
+                ]
+            }, [
+                { key: 'a', rev: 1, size: 10 },
+                { key: 'a', rev: 2, size: 30 },
+                { key: 'b', rev: 1, size: 20 }
+            ]);
+        });
+
+        it('count the rows and compute extremes', function () {
+            return get({
+                table: 'aggregates',
+                attributes: { key: 'a' },
+                aggregate: { count: true, min: 'size', max: ['size', 'rev'] }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.status, 200);
+                assert.deepEqual(res.body.aggregates, [{
+                    count: 2,
+                    min: { size: 10 },
+                    max: { size: 30, rev: 2 }
+                }]);
+            });
+        });
+
+        it('group the rows by hash key', function () {
+            return get({
+                table: 'aggregates',
+                attributes: {},
+                aggregate: { count: true, groupByHash: true }
+            })
+            .then(function (res) {
+                assert.deepEqual(res.body.aggregates.sort(function (a, b) {
+                    return a.key.key < b.key.key ? -1 : 1;
+                }), [
+                    { key: { key: 'a' }, count: 2 },
+                    { key: { key: 'b' }, count: 1 }
+                ]);
+            });
+        });
+
+        it('are reported for empty results', function () {
+            return get({ table: 'aggregates', attributes: { key: 'c' }, aggregate: { count: true } })
+            .then(function (res) {
+                assert.deepEqual(res.status, 200);
+                assert.deepEqual(res.body.aggregates, [{ count: 0 }]);
+            });
+        });
+    });
+
+    describe('filters', function () {
+        before(function () {
+            return createTable({
+                table: 'filters',
+                attributes: {
+                    key: 'string',
+                    rev: 'int',
+                    size: 'int',
+                    meta: 'json',
+                    tags: 'set<string>'
+                },
+                index: [
+                    { attribute: 'key', type: 'hash' },
+                    { attribute: 'rev', type: 'range', order: 'asc' }
+                ]
+            }, [
+                {
+                    key: 'a',
+                    rev: 1,
+                    size: 10,
+                    meta: { type: 'wikitext', tags: ['old'] },
+                    tags: ['b', 'a', 'b']
+                },
+                {
+                    key: 'a',
+                    rev: 2,
+                    size: 30,
+                    meta: { type: 'html', tags: ['new', 'reviewed'] },
+                    tags: ['c']
+                }
+            ]);
+        });
+
+        it('require allowFiltering on non-key attributes', function () {
+            return get({ table: 'filters', attributes: { key: 'a', size: { gt: 20 } } })
+            .then(function (res) {
+                assert.deepEqual(res.status, 400);
+                assert.deepEqual(res.body.attributes, ['size']);
+                return items({
+                    table: 'filters',
+                    allowFiltering: true,
+                    attributes: { key: 'a', size: { gt: 20 } }
+                });
+            })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'rev'), [2]);
+            });
+        });
+
+        it('select and project paths within json attributes', function () {
+            return items({
+                table: 'filters',
+                allowFiltering: true,
+                attributes: { key: 'a', 'meta.$.type': 'html' },
+                proj: ['rev', 'meta.$.tags[0]']
+            })
+            .then(function (rows) {
+                assert.deepEqual(rows, [{ rev: 2, 'meta.$.tags[0]': 'new' }]);
+            });
+        });
+
+        it('select sets and json arrays containing a value', function () {
+            return items({
+                table: 'filters',
+                allowFiltering: true,
+                attributes: { key: 'a', tags: { contains: 'a' } }
+            })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'rev'), [1]);
+                return items({
+                    table: 'filters',
+                    allowFiltering: true,
+                    attributes: { key: 'a', 'meta.$.tags': { contains: 'reviewed' } }
+                });
+            })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'rev'), [2]);
+            });
+        });
+
+        it('compare sets regardless of the order of their values', function () {
+            return items({ table: 'filters', attributes: { key: 'a', rev: 1 } })
+            .then(function (rows) {
+                assert.deepEqual(rows[0].tags, ['a', 'b']);
+                return items({
+                    table: 'filters',
+                    allowFiltering: true,
+                    attributes: { key: 'a', tags: ['b', 'a'] }
+                });
+            })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'rev'), [1]);
+            });
+        });
+    });
+
+    describe('full-text search', function () {
+        before(function () {
+            return createTable({
+                table: 'search',
+                attributes: { key: 'string', body: 'string' },
+                index: [{ attribute: 'key', type: 'hash' }],
+                fullTextIndex: ['body']
+            }, [
+                { key: 'a', body: 'the quick brown fox jumps over the lazy dog' },
+                { key: 'b', body: 'fox and fox and fox' },
+                { key: 'c', body: 'the lazy dog sleeps' }
+            ]);
+        });
+
+        it('ranks the matching rows by relevance', function () {
+            return items({ table: 'search', attributes: { body: { match: 'fox' } } })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'key'), ['b', 'a']);
+            });
+        });
+
+        it('follows updates of the indexed rows', function () {
+            return module.request('put', {
+                table: 'search',
+                attributes: { key: 'c', body: 'no more dogs' }
+            })
+            .then(function () {
+                return items({ table: 'search', attributes: { body: { match: 'lazy' } } });
+            })
+            .then(function (rows) {
+                assert.deepEqual(values(rows, 'key'), ['a']);
+            });
+        });
+
+        it('rejects malformed searches', function () {
+            return Promise.all(['fox AND', '"fox', 'fox)'].map(function (search) {
+                return get({ table: 'search', attributes: { body: { match: search } } });
+            }))
+            .then(function (results) {
+                results.forEach(function (res) {
+                    assert.deepEqual(res.status, 400);
+                    assert.deepEqual(res.body.type, 'bad_request');
+                });
+            });
+        });
+    });
+
+    describe('statement cache', function () {
+        var db;
+
+        before(function () {
+            return makeDB({
+                conf: {
+                    dbname: ':memory:',
+                    storage_groups: [{ name: 'default', domains: '/./' }]
+                },
+                log: function () {}
+            })
+            .then(function (created) {
+                db = created;
+                return db.createTable(utils.DOMAIN, {
+                    table: 'cached',
+                    attributes: { key: 'string', rev: 'int' },
+                    index: [
+                        { attribute: 'key', type: 'hash' },
+                        { attribute: 'rev', type: 'range', order: 'asc' }
+                    ]
+                });
+            });
+        });
+        after(function () {
+            return db.close();
+        });
+
+        function cached() {
+            return db.queryCache.keys().filter(function (key) {
+                return /_cached:/.test(key);
+            }).length;
+        }
+
+        it('shares the queries of in lists padded to the same size', function () {
+            function query(list) {
+                return db.get(utils.DOMAIN, {
+                    table: 'cached',
+                    attributes: { key: 'a', rev: { in: list } }
+                });
+            }
+            return query([1, 2, 3])
+            .then(function () {
+                assert.deepEqual(cached(), 1);
+                return query([5, 6, 7, 8]);
+            })
+            .then(function () {
+                assert.deepEqual(cached(), 1);
+                return query([1, 2]);
+            })
+            .then(function () {
+                assert.deepEqual(cached(), 2);
+            });
+        });
+    });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+var assert = require('assert');
+var makeDB = require('../lib/db');
+var utils = require('./utils/module');
+
+var conf = {
+    dbname: ':memory:',
+    storage_groups: [{ name: 'default', domains: '/./' }]
+};
+
+function delay(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+function collect(stream) {
+    return new Promise(function (resolve, reject) {
+        var rows = [];
+        stream.on('data', function (row) {
+            rows.push(row);
+        });
+        stream.on('end', function () {
+            resolve(rows);
+        });
+        stream.on('error', reject);
+    });
+}
+
+describe('Streaming', function () {
+    var db;
+
+    before(function () {
+        return makeDB({ conf: conf, log: function () {} })
+        .then(function (created) {
+            db = created;
+            return db.createTable(utils.DOMAIN, {
+                table: 'stream',
+                attributes: { key: 'string', rev: 'int' },
+                index: [
+                    { attribute: 'key', type: 'hash' },
+                    { attribute: 'rev', type: 'range', order: 'asc' }
+                ]
+            });
+        })
+        .then(function () {
+            var puts = [];
+            for (var rev = 0; rev < 12; rev++) {
+                puts.push(db.put(utils.DOMAIN, {
+                    table: 'stream',
+                    attributes: { key: 'a', rev: rev }
+                }));
+            }
+            return Promise.all(puts);
+        });
+    });
+    after(function () {
+        return db.close();
+    });
+
+    it('returns all rows, a page at a time', function () {
+        return collect(db.stream(utils.DOMAIN, {
+            table: 'stream',
+            attributes: { key: 'a' }
+        }, { pageSize: 5 }))
+        .then(function (rows) {
+            assert.deepEqual(rows.map(function (row) {
+                return row.rev;
+            }), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+        });
+    });
+
+    it('only fetches rows as fast as they are consumed', function () {
+        var stream = db.stream(utils.DOMAIN, {
+            table: 'stream',
+            attributes: { key: 'a' },
+            limit: 3
+        });
+        stream.read(0);
+        return delay(50)
+        .then(function () {
+            // At most the page being read, and the next one. The buffer
+            // length is only exposed as `readableLength` since Node 9.4.
+            var buffered = stream._readableState.length;
+            assert.ok(buffered <= 6, buffered);
+            return collect(stream);
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows.length, 12);
+        });
+    });
+
+    it('fails on invalid requests', function () {
+        return collect(db.stream(utils.DOMAIN, {
+            table: 'stream',
+            attributes: { key: 'a' },
+            aggregate: { count: true }
+        }))
+        .then(function () {
+            throw new Error('The stream should have failed');
+        }, function (e) {
+            assert.ok(/can't be streamed/.test(e.message));
+        });
+    });
+});
+
+describe('Closing', function () {
+    it('waits for the requests in progress', function () {
+        var module;
+        var pending;
+        return utils.create()
+        .then(function (created) {
+            module = created;
+            pending = module.request('createTable', {
+                table: 'closing',
+                attributes: { key: 'string' },
+                index: [{ attribute: 'key', type: 'hash' }]
+            });
+            return module.close();
+        })
+        .then(function () {
+            return pending;
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 201);
+            // Closing again is a no-op
+            return module.close();
+        });
+    });
+
+    it('stops the expiry sweeper', function () {
+        return makeDB({
+            conf: Object.assign({ expiry_sweep_interval: 10 }, conf),
+            log: function () {}
+        })
+        .then(function (db) {
+            return db.close()
+            .then(function () {
+                assert.deepEqual(db._sweepTimer, null);
+                return delay(30);
+            })
+            .then(function () {
+                assert.deepEqual(db._sweepTimer, null);
+                assert.deepEqual(db._sweeping, null);
+            });
+        });
+    });
+});
@@ -0,0 +1,280 @@
+'use strict';
+
+var assert = require('assert');
+var makeDB = require('../lib/db');
+var utils = require('./utils/module');
+
+function delay(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+describe('Expiry sweeper', function () {
+    function create(interval) {
+        return makeDB({
+            conf: {
+                dbname: ':memory:',
+                expiry_sweep_interval: interval,
+                storage_groups: [{ name: 'default', domains: '/./' }]
+            },
+            log: function () {}
+        })
+        .then(function (db) {
+            return db.createTable(utils.DOMAIN, {
+                table: 'expiring',
+                attributes: { key: 'string', value: 'string' },
+                index: [{ attribute: 'key', type: 'hash' }]
+            })
+            .then(function () {
+                return Promise.all([
+                    { key: 'a', value: 'expiring', _ttl: 0.01 },
+                    { key: 'b', value: 'kept', _ttl: 3600 },
+                    { key: 'c', value: 'kept' }
+                ].map(function (row) {
+                    return db.put(utils.DOMAIN, { table: 'expiring', attributes: row });
+                }));
+            })
+            .then(function () {
+                return db;
+            });
+        });
+    }
+
+    function count(db) {
+        return db.client.all('select count(*) as count from [default_expiring_data]', [])
+        .then(function (rows) {
+            return rows[0].count;
+        });
+    }
+
+    it('purges the rows with an expired TTL', function () {
+        var db;
+        return create(0)
+        .then(function (created) {
+            db = created;
+            // Let the TTL of the first row pass
+            return delay(20);
+        })
+        .then(function () {
+            return db._sweepExpired();
+        })
+        .then(function () {
+            return count(db);
+        })
+        .then(function (rows) {
+            assert.deepEqual(rows, 2);
+            return db.get(utils.DOMAIN, { table: 'expiring', attributes: { key: 'b' } });
+        })
+        .then(function (res) {
+            assert.deepEqual(res.items, [{ key: 'b', value: 'kept' }]);
+        })
+        .finally(function () {
+            return db.close();
+        });
+    });
+
+    it('runs in the background', function () {
+        var db;
+        var deadline = Date.now() + 5000;
+        function poll() {
+            return count(db)
+            .then(function (rows) {
+                if (rows === 2) {
+                    return;
+                }
+                if (Date.now() > deadline) {
+                    throw new Error('The expired row was not purged');
+                }
+                return delay(20).then(poll);
+            });
+        }
+        this.timeout(10000);
+        return create(10)
+        .then(function (created) {
+            db = created;
+            return poll();
+        })
+        .finally(function () {
+            return db.close();
+        });
+    });
+});
+
+describe('Secondary indexes', function () {
+    var module;
+    var schema = {
+        table: 'indexed',
+        attributes: {
+            key: 'string',
+            rev: 'int',
+            value: 'string',
+            extra: 'string'
+        },
+        index: [
+            { attribute: 'key', type: 'hash' },
+            { attribute: 'rev', type: 'range', order: 'asc' }
+        ],
+        secondaryIndexes: {
+            by_value: [
+                { attribute: 'value', type: 'hash' },
+                { attribute: 'rev', type: 'range', order: 'desc' },
+                { attribute: 'extra', type: 'proj' }
+            ]
+        }
+    };
+
+    before(function () {
+        return utils.create()
+        .then(function (created) {
+            module = created;
+            return module.request('createTable', schema);
+        })
+        .then(function () {
+            return Promise.all([
+                { key: 'a', rev: 1, value: 'x', extra: 'first' },
+                { key: 'b', rev: 2, value: 'x', extra: 'second' },
+                { key: 'c', rev: 3, value: 'y', extra: 'third' }
+            ].map(function (row) {
+                return module.request('put', { table: 'indexed', attributes: row });
+            }));
+        });
+    });
+    after(function () {
+        return module.close();
+    });
+
+    it('are queried by their own keys, in their own order', function () {
+        return module.request('get', {
+            table: 'indexed',
+            index: 'by_value',
+            attributes: { value: 'x' }
+        })
+        .then(function (res) {
+            assert.deepEqual(res.status, 200);
+            assert.deepEqual(res.body.items.map(function (item) {
+                return [item.key, item.rev, item.extra];
+            }), [['b', 2, 'second'], ['a', 1, 'first']]);
+        });
+    });
+
+    it('follow the writes to the table', function () {
+        return module.request('put', {
+            table: 'indexed',
+            attributes: { key: 'a', rev: 1, value: 'y', extra: 'moved' }
+        })
+        .then(function () {
+            return module.request('get', {
+                table: 'indexed',
+                index: 'by_value',
+                attributes: { value: 'y' }
+            });
+        })
+        .then(function (res) {
+            assert.deepEqual(res.body.items.map(function (item) {
+                return item.key;
+            }), ['c', 'a']);
+        });
+    });
+
+    it('must exist', function () {
+        return module.request('get', {
+            table: 'indexed',
+            index: 'missing',
+            attributes: { value: 'x' }
+        })
+        .then(function (res) {
+            assert.ok(res.status >= 400);
+        });
+    });
+});
+
+describe('Dry runs', function () {
+    var module;
+    var schema = {
+        table: 'planned',
+        attributes: { key: 'string', value: 'string', extra: 'string' },
+        index: [{ attribute: 'key', type: 'hash' }]
+    };
+
+    before(function () {
+        return utils.create()
+        .then(function (created) {
+            module = created;
+            return module.request('createTable', schema);
+        })
+        .then(function () {
+            return module.request('put', {
+                table: 'planned',
+                attributes: { key: 'a', value: 'one', extra: 'x' }
+            });
+        });
+    });
+    after(function () {
+        return module.close();
+    });
+
+    it('describe migrations without performing them', function () {
+        return module.request('createTable', Object.assign({}, schema, {
+            version: 2,
+            attributes: { key: 'string', value: 'string', added: 'int' }
+        }), { dry_run: 'true' })
+        .then(function (res) {
+            assert.deepEqual(res.status, 200);
+            assert.deepEqual(res.body.type, 'table_migration_plan');
+            var plan = res.body.plan[0];
+            assert.deepEqual(plan.action, 'migrate');
+            assert.deepEqual(plan.rejected, false);
+            assert.deepEqual(plan.operations.addColumns, ['added']);
+            assert.deepEqual(plan.operations.removeColumns, ['extra']);
+            assert.deepEqual(plan.operations.rebuildTable, true);
+            assert.deepEqual(plan.operations.version, { current: 1, proposed: 2 });
+            assert.ok(plan.sql.length);
+            return module.request('get', { table: 'planned', attributes: { key: 'a' } });
+        })
+        .then(function (res) {
+            assert.deepEqual(res.body.items, [{ key: 'a', value: 'one', extra: 'x' }]);
+            return module.request('getTableSchema', { table: 'planned' });
+        })
+        .then(function (res) {
+            assert.deepEqual(res.body.version, 1);
+        });
+    });
+
+    it('report the migrations which would be rejected', function () {
+        return module.request('createTable', Object.assign({}, schema, {
+            version: 2,
+            attributes: { key: 'string', value: 'int', extra: 'string' }
+        }), { dry_run: 'true' })
+        .then(function (res) {
+            assert.deepEqual(res.status, 200);
+            assert.deepEqual(res.body.plan[0].rejected !== false, true);
+        });
+    });
+
+    it('are requested with a flag', function () {
+        return Promise.all(['', '1', 'false', 'nope'].map(function (value) {
+            return module.request('createTable', Object.assign({}, schema, {
+                table: 'flagged'
+            }), { dry_run: value });
+        }))
+        .then(function (results) {
+            assert.deepEqual(results.map(function (res) {
+                return res.status;
+            }), [200, 200, 201, 400]);
+        });
+    });
+
+    it('describe the creation of new tables', function () {
+        return module.request('createTable', Object.assign({}, schema, { table: 'unplanned' }),
+            { dry_run: 'true' })
+        .then(function (res) {
+            assert.deepEqual(res.status, 200);
+            assert.deepEqual(res.body.plan[0].action, 'create');
+            return module.request('getTableSchema', { table: 'unplanned' });
+        })
+        .then(function (res) {
+            assert.notDeepEqual(res.status, 200);
+        });
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var makeModule = require('../../index.js');
+
+var DOMAIN = 'test.example.org';
+
+/**
+ * Create a module instance, by default on an in-memory database.
+ * @param {Object} [conf] config options, overriding the defaults
+ * @return {Promise<Object>} the module, extended with a `request` method
+ *                           calling its operations
+ */
+function create(conf) {
+    return makeModule({
+        conf: Object.assign({
+            dbname: ':memory:',
+            storage_groups: [{ name: 'default', domains: '/./' }]
+        }, conf),
+        log: function () {}
+    })
+    .then(function (module) {
+        /**
+         * Call an operation of the module.
+         * @param {string} operation the operation id
+         * @param {Object} body      the request body; its `table` is also
+         *                           passed as the table parameter
+         * @param {Object} [query]   the query parameters
+         * @return {Promise<Object>} the response
+         */
+        module.request = function (operation, body, query) {
+            return module.operations[operation]({}, {
+                params: { domain: DOMAIN, table: body && body.table },
+                query: query || {},
+                body: body
+            });
+        };
+        return module;
+    });
+}
+
+/**
+ * Make the path of a temporary database file.
+ * @param {string} name the name of the file
+ * @return {string} the path
+ */
+function tmpFile(name) {
+    return path.join(os.tmpdir(), 'rbsqlite-' + process.pid + '-' + name);
+}
+
+/**
+ * Remove a database file, along with its journal files.
+ * @param {string} file the path of the database
+ */
+function removeDB(file) {
+    ['', '-wal', '-shm', '-journal'].forEach(function (suffix) {
+        if (fs.existsSync(file + suffix)) {
+            fs.unlinkSync(file + suffix);
+        }
+    });
+}
+
+module.exports = {
+    DOMAIN: DOMAIN,
+    create: create,
+    tmpFile: tmpFile,
+    removeDB: removeDB
+};